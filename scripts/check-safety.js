@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Checks the driving rules keep cars off each other: a run fails if it has any collision, or a
+ * time-to-collision of 0, which means a car caught up with the vehicle ahead of it while still
+ * closing in. Runs every scenario in the given files, or in scripts/scenarios/ if none are
+ * given, with each car-following model, and exits with an error if any run fails.
+ *
+ * Usage:
+ *   node scripts/check-safety.js [scenario.json ...] [--minutes N]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const {loadCore} = require('./headless.js');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const DEFAULT_MINUTES = 3;
+
+function main() {
+    const args = process.argv.slice(2);
+    let minutes = DEFAULT_MINUTES;
+    let files = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--minutes') {
+            minutes = parseFloat(args[++i]);
+        } else {
+            files.push(args[i]);
+        }
+    }
+    if (files.length === 0) {
+        files = fs.readdirSync(SCENARIO_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.join(SCENARIO_DIR, file));
+    }
+
+    const context = loadCore();
+    const run = vm.runInContext('runScenario', context);
+    const models = vm.runInContext('getCarFollowingModelNames()', context);
+    let failures = 0;
+    for (let file of files) {
+        let scenarios = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(scenarios)) {
+            scenarios = [scenarios];
+        }
+        scenarios.forEach((scenario, i) => {
+            for (let model of models) {
+                const config = {name: `scenario${i + 1}`, ...scenario, minutes: minutes, carFollowingModel: model};
+                const summary = run(config).summary;
+                const ok = summary.collisions === 0 && summary.minTTC !== 0;
+                if (!ok) failures++;
+                console.log(`${ok ? 'ok  ' : 'FAIL'} ${path.basename(file)} ${config.name} ${model}: ` +
+                            `min TTC ${summary.minTTC === null ? '-' : summary.minTTC.toFixed(2) + ' s'}, ` +
+                            `${summary.collisions} collisions`);
+            }
+        });
+    }
+
+    if (failures > 0) {
+        console.error(`${failures} run(s) had a collision or a car catch up with the one ahead`);
+        process.exit(1);
+    }
+}
+
+main();
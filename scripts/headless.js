@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Headless batch runner. Loads the simulation scripts into a sandbox the same way the page
+ * does, runs scenarios without a canvas and writes their results as JSON or CSV.
+ *
+ * Usage:
+ *   node scripts/headless.js <scenario.json> [--minutes N] [--seed N] [--format json|csv] [--out path]
+ *                            [--plugin file.js ...]
+ *
+ * The scenario file holds one scenario or a list of them. A scenario is a set of Simulation
+ * options plus a name and how many simulated minutes to run, see scripts/scenarios/.
+ *
+ * Plugins are scripts run after the simulation scripts, e.g. to register driver behaviors
+ * that scenarios then use in their behaviorMix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'static', 'js');
+
+// Scripts the simulation needs, in the order index.html loads them.
+const CORE_SCRIPTS = [
+    'utils.js',
+    'clock.js',
+    'car.js',
+    'carLogic.js',
+    'carFollowing.js',
+    'laneChange.js',
+    'behaviors.js',
+    'safetyMetrics.js',
+    'trafficMetrics.js',
+    'fairness.js',
+    'trajectory.js',
+    'road.js',
+    'onRampRoad.js',
+    'scenarioScript.js',
+    'demand.js',
+    'simulation.js',
+    'batch.js',
+];
+
+/**
+ * Loads the simulation scripts into a fresh sandbox.
+ * @param {string[]} plugins - Paths of extra scripts to run after them (default: none).
+ * @returns {Object} vm context the scripts ran in.
+ */
+function loadCore(plugins = []) {
+    const context = vm.createContext({console: console});
+    for (let file of CORE_SCRIPTS) {
+        const source = fs.readFileSync(path.join(SCRIPT_DIR, file), 'utf8');
+        vm.runInContext(source, context, {filename: file});
+    }
+    for (let file of plugins) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+    }
+    return context;
+}
+
+/**
+ * Runs a list of scenarios.
+ * @param {Object[]} scenarios - Scenario configs.
+ * @param {string[]} plugins - Paths of plugin scripts to load first (default: none).
+ * @returns {Object[]} one result per scenario, see runScenario.
+ */
+function runScenarios(scenarios, plugins = []) {
+    const context = loadCore(plugins);
+    const run = vm.runInContext('runScenario', context);
+    return scenarios.map(scenario => {
+        // Round trip through JSON so the sandbox only ever sees plain data
+        return JSON.parse(JSON.stringify(run(scenario)));
+    });
+}
+
+/**
+ * Parses command line arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object} parsed options.
+ */
+function parseArgs(argv) {
+    const args = {file: null, minutes: undefined, seed: undefined, format: 'json', out: null, plugins: []};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--minutes') {
+            args.minutes = parseFloat(argv[++i]);
+        } else if (arg === '--seed') {
+            args.seed = parseInt(argv[++i], 10);
+        } else if (arg === '--format') {
+            args.format = argv[++i];
+        } else if (arg === '--out') {
+            args.out = argv[++i];
+        } else if (arg === '--plugin') {
+            args.plugins.push(argv[++i]);
+        } else if (args.file === null) {
+            args.file = arg;
+        } else {
+            throw new Error(`Unexpected argument '${arg}'`);
+        }
+    }
+    if (args.file === null) {
+        throw new Error('No scenario file given');
+    }
+    if (args.format !== 'json' && args.format !== 'csv') {
+        throw new Error(`Unknown format '${args.format}', use json or csv`);
+    }
+    return args;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error('Usage: node scripts/headless.js <scenario.json> [--minutes N] [--seed N] ' +
+                      '[--format json|csv] [--out path] [--plugin file.js ...]');
+        process.exit(1);
+    }
+
+    let scenarios = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    if (!Array.isArray(scenarios)) {
+        scenarios = [scenarios];
+    }
+    scenarios = scenarios.map((scenario, i) => ({
+        name: `scenario${i + 1}`,
+        ...scenario,
+        ...(args.minutes !== undefined ? {minutes: args.minutes} : {}),
+        ...(args.seed !== undefined ? {seed: args.seed} : {}),
+    }));
+
+    const results = runScenarios(scenarios, args.plugins);
+
+    if (args.format === 'json') {
+        const json = JSON.stringify({results: results}, null, 2) + '\n';
+        if (args.out) {
+            fs.writeFileSync(args.out, json);
+        } else {
+            process.stdout.write(json);
+        }
+        return;
+    }
+
+    // CSV is several tables, so it always goes to files: <out>.summary.csv, <out>.cars.csv,
+    // <out>.timeseries.csv, <out>.collisions.csv, <out>.braking.csv and <out>.merges.csv
+    const context = loadCore();
+    const toCSV = vm.runInContext('toCSV', context);
+    const out = args.out ?? 'results';
+    const tables = {
+        summary: [results.map(result => result.summary), 'SUMMARY_COLUMNS'],
+        cars: [results.flatMap(result => result.trips), 'TRIP_COLUMNS'],
+        timeseries: [results.flatMap(result => result.history), 'HISTORY_COLUMNS'],
+        collisions: [results.flatMap(result => result.collisions), 'COLLISION_COLUMNS'],
+        braking: [results.flatMap(result => result.hardBraking), 'HARD_BRAKING_COLUMNS'],
+        merges: [results.flatMap(result => result.mergeGaps), 'MERGE_GAP_COLUMNS'],
+    };
+    for (let [table, [rows, columns]] of Object.entries(tables)) {
+        fs.writeFileSync(`${out}.${table}.csv`, toCSV(rows, vm.runInContext(columns, context)));
+    }
+    console.error(`Wrote ${Object.keys(tables).map(table => `${out}.${table}.csv`).join(', ')}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {loadCore, runScenarios};
@@ -0,0 +1,15 @@
+/**
+ * Example driver behavior plugin: tailgaters close right up on the car ahead and never leave
+ * a gap for anyone merging. Load it with --plugin and hand it out with a scenario's
+ * behaviorMix, e.g. [{"behavior": "tailgater", "fraction": 0.3}].
+ */
+registerDriverBehavior('tailgater', {
+    label: 'Tailgater',
+    effectSpeed: (car, road) => {
+        let spaces = car.getActualDistance(road);
+        if (spaces < 0) return;
+        // Aim for one space behind the car ahead, whatever the speed
+        car.adjustSpeedBy((spaces - 1) * road.getSpaceSize());
+    },
+    shouldLetCarIn: () => false,
+});
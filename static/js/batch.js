@@ -0,0 +1,141 @@
+/**
+ * Runs simulations headless, as fast as possible, and collects their results. Used by the
+ * Node batch runner in scripts/headless.js, and works the same in the browser.
+ */
+
+// Simulated minutes a scenario runs for when it does not say.
+const DEFAULT_SCENARIO_MINUTES = 10;
+
+// Columns written for per-car records, in order.
+const TRIP_COLUMNS = [
+    'scenario', 'id', 'startLane', 'startTime', 'entryTime', 'endTime', 'exitLane', 'travelTime',
+    'queueTime', 'delay', 'merges', 'mergePosition', 'mergeTendency', 'cooperation',
+    'aggressiveness', 'followingDistance', 'behavior', 'vehicleClass', 'carsLetIn'
+];
+
+// Columns written for the metrics history, one row per simulated second, in order.
+const HISTORY_COLUMNS = [
+    'scenario', 'time', 'throughput', 'fairness', 'jainIndex', 'gini', 'tailRatio', 'queueLength',
+    'averageSpeed', 'averageDelay'
+];
+
+// Columns written for scenario summaries, in order.
+const SUMMARY_COLUMNS = [
+    'scenario', 'seed', 'minutes', 'carsCompleted', 'throughput',
+    'fairness', 'jainIndex', 'gini', 'p95MedianRatio', 'laneMeanTravelTimes', 'closedOpenTravelTimeRatio',
+    'meanTravelTime', 'meanQueueTime', 'meanDelay', 'averageSpeed',
+    'laneMaxQueues', 'laneAverageQueues', 'laneAverageDensities', 'queueLength', 'maxQueueLength',
+    'unservedDemand', 'windowThroughput', 'windowFairness',
+    'collisions', 'minTTC', 'ttcConflictTime', 'ttcHistogram', 'hardBrakingEvents',
+    'medianMergeGap'
+];
+
+// Columns written for collisions, in order.
+const COLLISION_COLUMNS = [
+    'scenario', 'time', 'lane', 'laneX', 'obstacle', 'cars', 'speeds', 'modelBug'
+];
+
+// Columns written for hard-braking events, in order.
+const HARD_BRAKING_COLUMNS = ['scenario', 'time', 'carId', 'lane', 'laneX', 'speed', 'deceleration'];
+
+// Columns written for accepted merge gaps, in order.
+const MERGE_GAP_COLUMNS = ['scenario', 'time', 'carId', 'lane', 'laneX', 'speed', 'gapAhead', 'gapBehind'];
+
+/**
+ * Runs one scenario headless.
+ * @param {Object} scenario - Simulation options, plus:
+ * @param {string} scenario.name - Name to label results with (default: 'scenario').
+ * @param {number} scenario.minutes - Simulated minutes to run for (default: 10).
+ * @returns {Object} the results, see collectResults.
+ */
+function runScenario(scenario = {}) {
+    const name = scenario.name ?? 'scenario';
+    const minutes = scenario.minutes ?? DEFAULT_SCENARIO_MINUTES;
+
+    const sim = new Simulation(null, scenario);
+    sim.runFor(minutes * 60);
+    return collectResults(sim, name, minutes);
+}
+
+/**
+ * Collects the results of a simulation's run so far, headless or live.
+ * @param {Simulation} sim - Simulation to collect from.
+ * @param {string} name - Name to label results with.
+ * @param {number} minutes - Simulated minutes it ran for (default: its clock).
+ * @returns {{summary: Object, trips: Object[], history: Object[], collisions: Object[],
+ * hardBraking: Object[], mergeGaps: Object[]}} summary metrics, every finished trip, the metrics
+ * history and every safety event.
+ */
+function collectResults(sim, name, minutes = sim.getTime() / 60) {
+    const trips = sim.road.trips.map(trip => ({scenario: name, ...trip}));
+    const travelTimes = trips.map(trip => trip.travelTime);
+    const laneEquity = getLaneEquity(trips, sim.road.roadSpace.length, sim.road.closedLanes);
+    const safety = sim.road.safety.getSummary();
+    const traffic = sim.road.traffic;
+    const mean = (values) => values.length > 0
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : 0;
+
+    return {
+        summary: {
+            scenario: name,
+            seed: sim.seed,
+            minutes: minutes,
+            carsCompleted: trips.length,
+            // Averaged over the whole run, unlike the 10 second window shown live
+            throughput: minutes > 0 ? trips.length / (minutes * 60) : 0,
+            fairness: getTravelTimeFairness(travelTimes),
+            jainIndex: getJainIndex(travelTimes),
+            gini: getGiniCoefficient(travelTimes),
+            p95MedianRatio: getTailRatio(travelTimes),
+            // By start lane, against the lanes closed at the end of the run
+            laneMeanTravelTimes: laneEquity.meanTravelTimes,
+            closedOpenTravelTimeRatio: laneEquity.closedOpenRatio,
+            meanTravelTime: mean(travelTimes),
+            // Travel times include the wait to get on, this is how much of them it was
+            meanQueueTime: mean(trips.map(trip => trip.queueTime)),
+            meanDelay: mean(trips.map(trip => trip.delay)),
+            averageSpeed: traffic.getRunAverageSpeed(),
+            // Per lane, on the road, unlike the queue of cars waiting to get on
+            laneMaxQueues: traffic.maxQueueLengths,
+            laneAverageQueues: traffic.getAverageQueueLengths(),
+            laneAverageDensities: traffic.getAverageDensities(),
+            queueLength: sim.getQueueLength(),
+            maxQueueLength: sim.road.maxQueueLength,
+            unservedDemand: sim.getUnservedDemand(),
+            windowThroughput: sim.getCarsPerSecond(),
+            windowFairness: sim.getFairness(),
+            collisions: sim.getCollisionCount(),
+            minTTC: safety.minTTC,
+            ttcConflictTime: safety.conflictTime,
+            ttcHistogram: safety.ttcHistogram,
+            hardBrakingEvents: safety.hardBrakingEvents,
+            medianMergeGap: safety.medianMergeGap
+        },
+        trips: trips,
+        history: sim.history.map(sample => ({scenario: name, ...sample})),
+        collisions: sim.road.collisions.map(collision => ({scenario: name, ...collision})),
+        hardBraking: sim.road.safety.hardBrakingEvents.map(event => ({scenario: name, ...event})),
+        mergeGaps: sim.road.safety.mergeGaps.map(gap => ({scenario: name, ...gap}))
+    };
+}
+
+/**
+ * Turns a list of records into CSV text.
+ * @param {Object[]} rows - Records to write.
+ * @param {string[]} columns - Keys to write, in order, also used as the header.
+ * @returns {string} CSV text with a header row.
+ */
+function toCSV(rows, columns) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    for (let row of rows) {
+        lines.push(columns.map(column => escape(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
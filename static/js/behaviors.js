@@ -0,0 +1,70 @@
+/**
+ * Driver behaviors, plugins that replace parts of how a car drives without touching
+ * carLogic.js. A behavior is an object with a label and any of these functions, anything it
+ * leaves out falls back to the simulation's models and the logic in carLogic.js:
+ *
+ *   effectSpeed(car, road, dtSeconds) - speed control, see effectSpeed.
+ *   effectMergeState(car, road) - whether and which way to merge, see effectMergeState.
+ *   canMerge(car, road) - gap acceptance, see canMerge.
+ *   shouldLetCarIn(car, road) - yielding to merging cars, see shouldLetCarIn.
+ *
+ * A simulation hands behaviors out to a share of the cars it generates, see the behaviorMix
+ * option of Simulation.
+ */
+
+// Built in driver behaviors.
+const DriverBehavior = {
+    // Uses the simulation's models and carLogic.js for everything.
+    Default: 'default',
+    // Never makes room for a merging car.
+    NeverYield: 'neverYield',
+}
+
+// Functions a behavior may supply.
+const BEHAVIOR_ROLES = ['effectSpeed', 'effectMergeState', 'canMerge', 'shouldLetCarIn'];
+
+const driverBehaviors = {};
+
+/**
+ * Registers a driver behavior so simulations can hand it out by name.
+ * @param name to hand the behavior out by.
+ * @param behavior object with a label and any of the functions in BEHAVIOR_ROLES.
+ */
+function registerDriverBehavior(name, behavior) {
+    for (let role of BEHAVIOR_ROLES) {
+        if (behavior[role] !== undefined && typeof behavior[role] !== 'function') {
+            throw new Error(`Driver behavior '${name}' has a ${role} that is not a function`);
+        }
+    }
+    driverBehaviors[name] = {...behavior, name: name};
+}
+
+/**
+ * Gets a registered driver behavior.
+ * @param name the behavior was registered under.
+ * @returns {Object} the behavior.
+ */
+function getDriverBehavior(name) {
+    let behavior = driverBehaviors[name];
+    if (behavior === undefined) {
+        throw new Error(`Unknown driver behavior '${name}'`);
+    }
+    return behavior;
+}
+
+/**
+ * Gets the names of every registered driver behavior.
+ * @returns {string[]}
+ */
+function getDriverBehaviorNames() {
+    return Object.keys(driverBehaviors);
+}
+
+registerDriverBehavior(DriverBehavior.Default, {
+    label: 'Default',
+});
+
+registerDriverBehavior(DriverBehavior.NeverYield, {
+    label: 'Never yields',
+    shouldLetCarIn: () => false,
+});
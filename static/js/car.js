@@ -26,6 +26,7 @@ const MERGE_SPACE_HIGH = 5;
 // In feet per seconds
 const MAX_SPEED = 66;
 
+// Merge is merging left (towards lane 0), Right is merging right.
 const State = {
     Default: 'DEFAULT',
     Merge: 'MERGE',
@@ -33,6 +34,36 @@ const State = {
     Right: 'RIGHT',
 }
 
+// Kinds of vehicle on the road.
+const VehicleClass = {
+    Car: 'car',
+    Truck: 'truck',
+    Bus: 'bus',
+    Motorcycle: 'motorcycle',
+}
+
+// What each kind of vehicle is like. Length is in spaces, speeds in feet per second and
+// acceleration and braking in feet per second squared. Cars and motorcycles can change speed
+// as fast as the car-following model asks, heavy vehicles are held to what they can manage.
+const VEHICLE_CLASSES = {
+    [VehicleClass.Car]: {
+        label: 'Car', length: 1, maxSpeed: MAX_SPEED,
+        maxAcceleration: Infinity, maxBraking: Infinity, sprite: 'car',
+    },
+    [VehicleClass.Truck]: {
+        label: 'Truck', length: 3, maxSpeed: 58,
+        maxAcceleration: 3, maxBraking: 15, sprite: 'truck',
+    },
+    [VehicleClass.Bus]: {
+        label: 'Bus', length: 2, maxSpeed: 62,
+        maxAcceleration: 4, maxBraking: 18, sprite: 'bus',
+    },
+    [VehicleClass.Motorcycle]: {
+        label: 'Motorcycle', length: 1, maxSpeed: 73,
+        maxAcceleration: Infinity, maxBraking: Infinity, sprite: 'motorcycle',
+    },
+}
+
 // Random car colors - nice saturated colors
 const CAR_COLORS = [
     '#e74c3c', // Red
@@ -58,8 +89,28 @@ class Car {
     state = State.Default;
     // Speed is in feet per second!!
     speed = MAX_SPEED;
+    // What kind of vehicle this is, from VEHICLE_CLASSES, and how many spaces it takes up
+    // (from its lane position backwards).
+    vehicleClass = VEHICLE_CLASSES[VehicleClass.Car];
+    length = 1;
+    maxSpeed = MAX_SPEED;
+    // Simulated seconds of the current drive step, limits how much speed can change in it.
+    stepSeconds = 0;
+    // Speed change in the current drive step, in feet per second squared.
+    acceleration = 0;
 
     carsLetIn = 0;
+    // Lane changes made, and where the first one happened (laneX), null if none.
+    merges = 0;
+    mergeLaneX = null;
+    // Set when the car runs into something, it leaves the road without finishing its trip.
+    crashed = false;
+    // Car-following model from carFollowing.js, the legacy one if not set.
+    carFollowing = null;
+    // Lane-change model from laneChange.js, the gap count one if not set.
+    laneChange = null;
+    // Driver behavior from behaviors.js, whatever it supplies replaces the models above.
+    behavior = null;
 
     // Visual position for smooth lerping
     visualX = 0;
@@ -72,14 +123,23 @@ class Car {
      * with other drivers.
      * @param aggressiveness
      * @param laneNumber for car to be in.
+     * @param random generator used for the car's looks, defaults to Math.random.
+     * @param vehicleClass a VehicleClass, defaults to a car.
      */
-    constructor(mergeTendency, cooperation, aggressiveness, laneNumber) {
+    constructor(mergeTendency, cooperation, aggressiveness, laneNumber, random = Math.random,
+                vehicleClass = VehicleClass.Car) {
         this.mergeTendency = mergeTendency;
         this.cooperation = cooperation;
         this.aggressiveness = aggressiveness;
         this.laneNumber = laneNumber;
         this.state = State.Default;
-        this.speed = MAX_SPEED;
+        this.vehicleClass = VEHICLE_CLASSES[vehicleClass];
+        if (this.vehicleClass === undefined) {
+            throw new Error(`Unknown vehicle class '${vehicleClass}'`);
+        }
+        this.length = this.vehicleClass.length;
+        this.maxSpeed = this.vehicleClass.maxSpeed;
+        this.speed = this.maxSpeed;
         // In seconds.
         this.followingDistance = getValueFromNormalized(this.aggressiveness,
                                                         FOLLOWING_DISTANCE_LOW,
@@ -89,10 +149,13 @@ class Car {
         this.lastMoved = -1;
         this.distance = 0;
         // Assign random color
-        this.color = CAR_COLORS[Math.floor(Math.random() * CAR_COLORS.length)];
-        // Track start time and lane for fairness calculation
+        this.color = CAR_COLORS[Math.floor(random() * CAR_COLORS.length)];
+        // Track start time and lane for fairness calculation, the start is when the car arrived,
+        // which is before it entered the road if it had to wait to get on
         this.startTime = null;
         this.startLane = laneNumber;
+        this.arrivalTime = null;
+        this.entryTime = null;
     }
 
     /**
@@ -100,25 +163,42 @@ class Car {
      * @param road to drive on.
      */
     drive(road) {
-        let currentTime = new Date();
+        let currentTime = road.getTime();
         if (this.lastMoved === -1) {
             this.lastMoved = currentTime;
             return;
         }
         let elapsedMs = currentTime - this.lastMoved;
         this.distance += this.speed * (elapsedMs / 1000);
-        effectSpeed(this, road);
-        effectMergeState(this, road);
+        this.stepSeconds = elapsedMs / 1000;
+        this.acceleration = 0;
+        let behavior = this.behavior ?? {};
+        let carFollowing = this.carFollowing ?? getCarFollowingModel(CarFollowingModel.Legacy);
+        let laneChange = this.laneChange ?? getLaneChangeModel(LaneChangeModel.GapCount);
+
+        (behavior.effectSpeed ?? carFollowing.effectSpeed)(this, road, elapsedMs / 1000);
+        (behavior.effectMergeState ?? effectMergeState)(this, road);
         this.lastMoved = currentTime;
 
         // TODO: add a randomized tendency to use turn signal.
-        this.indicator = (this.state === State.Merge);
+        this.indicator = this.isMerging();
 
-        if (this.state === State.Merge && canMerge(this, road)) {
+        if (this.isMerging() && (behavior.canMerge ?? laneChange.canMerge)(this, road)) {
             road.merge(this);
         }
     }
 
+    /**
+     * Checks if this car is making room for a car merging in, using its behavior's rule if it
+     * has one.
+     * @param road to check on.
+     * @returns {boolean}
+     */
+    isLettingCarIn(road) {
+        let letCarIn = this.behavior?.shouldLetCarIn ?? shouldLetCarIn;
+        return letCarIn(this, road);
+    }
+
     /**
      * Checks if this car is currently indicating.
      * @returns {boolean}
@@ -127,6 +207,24 @@ class Car {
         return this.indicator;
     }
 
+    /**
+     * Checks if this car is trying to merge, either way.
+     * @returns {boolean}
+     */
+    isMerging() {
+        return this.state === State.Merge || this.state === State.Right;
+    }
+
+    /**
+     * Gets the direction this car is merging in.
+     * @returns {number} -1 for left, 1 for right, 0 if not merging.
+     */
+    getMergeDirection() {
+        if (this.state === State.Merge) return -1;
+        if (this.state === State.Right) return 1;
+        return 0;
+    }
+
     /**
      * Sets the lane position of this car.
      * @param laneN lane number to be in.
@@ -176,6 +274,15 @@ class Car {
         return this.lanePosX;
     }
 
+    /**
+     * Gets the position of the back of this vehicle, vehicles longer than a space take up
+     * every space from here to getLaneX(). Can be negative while it is still entering the road.
+     * @returns {number}
+     */
+    getTailX() {
+        return this.lanePosX - this.length + 1;
+    }
+
     /**
      * Gets the desired merge gap in seconds (time-based).
      * @returns {number} gap time in seconds
@@ -226,7 +333,7 @@ class Car {
      * @returns {number}
      */
     getDesiredDistance(road) {
-        if (shouldLetCarIn(this, road)) {
+        if (this.isLettingCarIn(road)) {
             if (!(road instanceof Road)) return;
             return this.getDesiredMergeSpace() * road.getSpaceSize();
         } else {
@@ -253,9 +360,7 @@ class Car {
             return;
         }
 
-        let blockedLanes = road.blockedLanes;
-        let carLane = this.getLaneN();
-        let perfectQuota = blockedLanes - carLane;
+        let perfectQuota = road.getMergingLaneCount(this.getLaneN());
         return Math.round(this.cooperation * perfectQuota);
     }
 
@@ -277,18 +382,27 @@ class Car {
     }
 
     /**
-     * Adjusts the speed of this car by amount.
+     * Adjusts the speed of this car by amount, as far as the vehicle can speed up or brake in
+     * the current step.
      * @param amount to adjust, - if slower, + if faster.
      */
     adjustSpeedBy(amount) {
+        if (this.stepSeconds > 0) {
+            amount = Math.min(Math.max(amount, -this.vehicleClass.maxBraking * this.stepSeconds),
+                              this.vehicleClass.maxAcceleration * this.stepSeconds);
+        }
+        let before = this.speed;
         let effected = this.speed + amount;
-        if (effected >= MAX_SPEED) {
-            this.speed = MAX_SPEED;
+        if (effected >= this.maxSpeed) {
+            this.speed = this.maxSpeed;
         } else if (effected <= 0) {
             this.speed = 0;
         } else {
             this.speed = effected;
         }
+        if (this.stepSeconds > 0) {
+            this.acceleration += (this.speed - before) / this.stepSeconds;
+        }
     }
 
     /**
@@ -0,0 +1,220 @@
+/**
+ * Car-following models, which decide how a car speeds up and slows down behind whatever is in
+ * front of it. A model is an object with a label and an effectSpeed(car, road, dtSeconds)
+ * function, and a simulation picks one by name. Models that change speed smoothly over time set
+ * continuousAcceleration, so their cars are checked for hard braking.
+ */
+
+// Built in car-following models.
+const CarFollowingModel = {
+    // The original rule in carLogic.js, adjusts speed by the gap error in feet.
+    Legacy: 'legacy',
+    // The Intelligent Driver Model (Treiber, Hennecke & Helbing, 2000).
+    IDM: 'idm',
+}
+
+// IDM parameters, mapped from aggressiveness like following distance is (0 = close, 1 = far).
+// Desired speed in feet per second.
+const IDM_DESIRED_SPEED_LOW = MAX_SPEED;
+const IDM_DESIRED_SPEED_MID = 62;
+const IDM_DESIRED_SPEED_HIGH = 56;
+// Time headway in seconds.
+const IDM_TIME_HEADWAY_LOW = 0.8;
+const IDM_TIME_HEADWAY_MID = 1.5;
+const IDM_TIME_HEADWAY_HIGH = 2.5;
+// Maximum acceleration in feet per second squared.
+const IDM_MAX_ACCELERATION_LOW = 10;
+const IDM_MAX_ACCELERATION_MID = 5;
+const IDM_MAX_ACCELERATION_HIGH = 3;
+// Comfortable braking in feet per second squared.
+const IDM_COMFORTABLE_BRAKING_LOW = 12;
+const IDM_COMFORTABLE_BRAKING_MID = 7;
+const IDM_COMFORTABLE_BRAKING_HIGH = 5;
+// Minimum gap kept when stopped, in feet.
+const IDM_MINIMUM_GAP_LOW = 3;
+const IDM_MINIMUM_GAP_MID = 6;
+const IDM_MINIMUM_GAP_HIGH = 10;
+// Acceleration exponent, 4 in the original paper.
+const IDM_ACCELERATION_EXPONENT = 4;
+// Hardest braking physically possible, in feet per second squared (about 0.9 g).
+const IDM_MAX_DECELERATION = 30;
+
+const carFollowingModels = {};
+
+/**
+ * Registers a car-following model so simulations can pick it by name.
+ * @param name to pick the model by.
+ * @param model object with a label and an effectSpeed(car, road, dtSeconds) function, and
+ * continuousAcceleration true if it changes speed smoothly rather than in jumps.
+ */
+function registerCarFollowingModel(name, model) {
+    if (typeof model.effectSpeed !== 'function') {
+        throw new Error(`Car-following model '${name}' has no effectSpeed function`);
+    }
+    carFollowingModels[name] = model;
+}
+
+/**
+ * Gets a registered car-following model.
+ * @param name the model was registered under.
+ * @returns {Object} the model.
+ */
+function getCarFollowingModel(name) {
+    let model = carFollowingModels[name];
+    if (model === undefined) {
+        throw new Error(`Unknown car-following model '${name}'`);
+    }
+    return model;
+}
+
+/**
+ * Gets the names of every registered car-following model.
+ * @returns {string[]}
+ */
+function getCarFollowingModelNames() {
+    return Object.keys(carFollowingModels);
+}
+
+/**
+ * Gets the IDM parameters for a car.
+ * @param car to get parameters for.
+ * @returns {{desiredSpeed: number, timeHeadway: number, maxAcceleration: number,
+ * comfortableBraking: number, minimumGap: number}}
+ */
+function getIDMParameters(car) {
+    let a = car.aggressiveness;
+    // Heavy vehicles cannot go as fast or pull away as hard as their driver might like
+    return {
+        desiredSpeed: Math.min(car.maxSpeed,
+                               getValueFromNormalized(a, IDM_DESIRED_SPEED_LOW,
+                                                      IDM_DESIRED_SPEED_MID, IDM_DESIRED_SPEED_HIGH)),
+        timeHeadway: getValueFromNormalized(a, IDM_TIME_HEADWAY_LOW,
+                                            IDM_TIME_HEADWAY_MID, IDM_TIME_HEADWAY_HIGH),
+        maxAcceleration: Math.min(car.vehicleClass.maxAcceleration,
+                                  getValueFromNormalized(a, IDM_MAX_ACCELERATION_LOW,
+                                                         IDM_MAX_ACCELERATION_MID,
+                                                         IDM_MAX_ACCELERATION_HIGH)),
+        comfortableBraking: getValueFromNormalized(a, IDM_COMFORTABLE_BRAKING_LOW,
+                                                   IDM_COMFORTABLE_BRAKING_MID,
+                                                   IDM_COMFORTABLE_BRAKING_HIGH),
+        minimumGap: getValueFromNormalized(a, IDM_MINIMUM_GAP_LOW,
+                                           IDM_MINIMUM_GAP_MID, IDM_MINIMUM_GAP_HIGH),
+    };
+}
+
+/**
+ * Gets how far a car has driven through the space it is in, cars only move to the next space
+ * once they have driven all of this one.
+ * @param car to check.
+ * @param road the car is on.
+ * @returns {number} between 0 and 1.
+ */
+function getProgressInSpace(car, road) {
+    let progress = car.getDistance() / road.getSpaceSize() - 1 - car.getLaneX();
+    return Math.min(Math.max(progress, 0), 1);
+}
+
+/**
+ * Gets the gap in feet and the speed of whatever is in front of a car, counting how far each
+ * has driven through its space so the gap closes smoothly rather than a space at a time.
+ * @param car to look ahead of.
+ * @param road to look on.
+ * @param spaces open spaces between the car and what is in front of it.
+ * @returns {{gap: number, speed: number}} gap is 0 once the car has reached it, speed is 0 for
+ * a blockage.
+ */
+function getLeaderGap(car, road, spaces) {
+    let leader = road.roadSpace[car.getLaneN()][car.getLaneX() + spaces + 1];
+    let gapSpaces = spaces - getProgressInSpace(car, road);
+    let speed = 0;
+    // A vehicle still reaches back into the space behind its own by as much as it has left to
+    // drive through it, a blockage only fills its own space
+    if (leader instanceof Car) {
+        gapSpaces += getProgressInSpace(leader, road);
+        speed = leader.speed;
+    } else {
+        gapSpaces += 1;
+    }
+    return {gap: Math.max(gapSpaces * road.getSpaceSize(), 0), speed: speed};
+}
+
+/**
+ * Speeds up or slows down a car with the Intelligent Driver Model. Merging cars aim for the
+ * speed of the lane they are merging into, and rubbernecking lowers the desired speed the same
+ * way it slows legacy cars.
+ * @param car to effect speed of.
+ * @param road to control speed off of.
+ * @param dtSeconds simulated seconds since the car last drove.
+ */
+function effectSpeedIDM(car, road, dtSeconds) {
+    if (!(car instanceof Car)) {
+        return;
+    }
+    if (!(road instanceof Road)) {
+        return;
+    }
+
+    let params = getIDMParameters(car);
+    let desiredSpeed = params.desiredSpeed;
+    let minimumGap = params.minimumGap;
+
+    if (car.isMerging()) {
+        let targetLaneSpeed = getSide10AverageSpeed(car, road, car.getMergeDirection());
+        if (targetLaneSpeed >= 0) {
+            let speedMatchWeight = 1 - getMergeUrgency(car, road);
+            desiredSpeed += (targetLaneSpeed - desiredSpeed) * speedMatchWeight;
+        }
+    }
+
+    let depthInZone = getRubberneckDepth(car, road);
+    if (depthInZone >= 0) {
+        desiredSpeed *= RUBBERNECK_SPEED_FACTOR + (1 - RUBBERNECK_SPEED_FACTOR) * depthInZone;
+    }
+
+    // Leave room for a car being let in, as legacy drivers do
+    if (car.isLettingCarIn(road)) {
+        minimumGap = Math.max(minimumGap, car.getDesiredDistance(road));
+    }
+
+    // Nothing ahead (or the end of the road) means free road
+    let spaces = car.getActualDistance(road);
+    let leader = spaces >= 0 && spaces < 100 ? getLeaderGap(car, road, spaces) : null;
+
+    let acceleration = getIDMAcceleration({...params, desiredSpeed: desiredSpeed, minimumGap: minimumGap},
+                                          car.speed, leader);
+    car.adjustSpeedBy(acceleration * dtSeconds);
+}
+
+/**
+ * Gets the IDM acceleration of a driver.
+ * @param params IDM parameters of the driver, from getIDMParameters.
+ * @param speed of the driver in feet per second.
+ * @param leader gap in feet to whatever is ahead and its speed, {gap, speed}, or null for an
+ * open road.
+ * @returns {number} acceleration in feet per second squared, negative when braking.
+ */
+function getIDMAcceleration(params, speed, leader) {
+    // Free road term
+    let acceleration = 1 - Math.pow(speed / Math.max(params.desiredSpeed, 1), IDM_ACCELERATION_EXPONENT);
+
+    // Interaction term
+    if (leader !== null) {
+        let approachRate = speed - leader.speed;
+        let desiredGap = params.minimumGap + Math.max(0, speed * params.timeHeadway +
+            speed * approachRate / (2 * Math.sqrt(params.maxAcceleration * params.comfortableBraking)));
+        acceleration -= Math.pow(desiredGap / Math.max(leader.gap, 0.1), 2);
+    }
+
+    return Math.max(acceleration * params.maxAcceleration, -IDM_MAX_DECELERATION);
+}
+
+registerCarFollowingModel(CarFollowingModel.Legacy, {
+    label: 'Legacy',
+    effectSpeed: (car, road) => effectSpeed(car, road),
+});
+
+registerCarFollowingModel(CarFollowingModel.IDM, {
+    label: 'Intelligent Driver Model',
+    effectSpeed: effectSpeedIDM,
+    continuousAcceleration: true,
+});
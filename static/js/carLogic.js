@@ -37,6 +37,7 @@ function getLaneData(road, lane) {
 
 /**
  * Gets the following distance between a space in a line and the car or blockage in front.
+ * Starting inside a vehicle longer than a space, the rest of that vehicle is not counted.
  * @param road to check following distance on.
  * @param lane to check following distance in.
  * @param laneX position in lane to start following distance check.
@@ -49,12 +50,17 @@ function getDistance(road, lane, laneX, targetSpace) {
     }
 
     let laneXSize = laneData.length;
-    if (laneX + 1 >= laneXSize) {
+    let start = laneX + 1;
+    let self = laneData[laneX];
+    if (self instanceof Car) {
+        start = Math.max(start, self.getLaneX() + 1);
+    }
+    if (start >= laneXSize) {
         return -2;
     }
 
     let distance = 0;
-    for (let space = laneX + 1; space < laneXSize; space++) {
+    for (let space = start; space < laneXSize; space++) {
         let cell = laneData[space];
 
         if (targetSpace === SpaceType.All && cell !== null) {
@@ -73,17 +79,19 @@ function getDistance(road, lane, laneX, targetSpace) {
 }
 
 /**
- * Gets the spaces to the left of a car that are open.
+ * Gets the spaces beside a car, in the lane to one side of it, that are open.
  * @param road to search on.
  * @param lane of car to search for.
  * @param laneX x position of car to search at.
- * @returns {*|{left_ahead: number, left_beside: number, left_behind: number}|number}
+ * @param direction side to search, -1 for the left lane (lower index), 1 for the right.
+ * @param length of the car in spaces, every space beside it has to be open (default 1).
+ * @returns {*|{ahead: number, beside: number, behind: number}|number}
  */
-function getLeftOpenSpaces(road, lane, laneX) {
+function getSideOpenSpaces(road, lane, laneX, direction, length = 1) {
     let laneOpenings = {
-        "left_ahead": 0,
-        "left_beside": 0,
-        "left_behind": 0
+        "ahead": 0,
+        "beside": 0,
+        "behind": 0
     }
 
     let laneData = getLaneData(road, lane);
@@ -93,49 +101,62 @@ function getLeftOpenSpaces(road, lane, laneX) {
 
     let roadSpace = road instanceof Road ? road.roadSpace : road;
     let numberOfLanes = roadSpace.length;
-    // Can't merge left if already in leftmost lane (index 0)
-    if (lane <= 0) {
+    let sideLane = lane + direction;
+    // Can't merge past the leftmost (index 0) or rightmost lane
+    if (direction === 0 || sideLane < 0 || sideLane >= numberOfLanes) {
         return laneOpenings;
     }
 
-    // Left lane = lower index (visually upward on screen)
-    let leftLaneData = getLaneData(road, lane - 1);
+    let sideLaneData = getLaneData(road, sideLane);
 
     let laneSize = laneData.length;
-    let leftLaneSize = leftLaneData.length;
+    let sideLaneSize = sideLaneData.length;
 
-    if (leftLaneSize !== laneSize) {
+    if (sideLaneSize !== laneSize) {
         return -1;
     } else if (laneX >= laneSize - 1) {
         return laneOpenings;
     }
 
-    /* Check beside in left lane to see if there is space */
-    let besideSpace = leftLaneData[laneX]
-    if (besideSpace == null) {
-        laneOpenings["left_beside"] = 1;
-    } else {
-        return laneOpenings;
+    /* Check beside in side lane to see if there is space, all along the car */
+    let tailX = Math.max(0, laneX - length + 1);
+    for (let x = tailX; x <= laneX; x++) {
+        if (sideLaneData[x] != null) {
+            return laneOpenings;
+        }
     }
+    laneOpenings["beside"] = laneX - tailX + 1;
 
-    /* Check ahead of left lane space to see how much space is available */
-    let aheadSpaces = getDistance(road, lane - 1, laneX, SpaceType.All)
+    /* Check ahead of side lane space to see how much space is available */
+    let aheadSpaces = getDistance(road, sideLane, laneX, SpaceType.All)
     if (aheadSpaces >= 0) {
-        laneOpenings["left_ahead"] = aheadSpaces;
+        laneOpenings["ahead"] = aheadSpaces;
     }
 
-    /* Checks behind of the left lane space to see how much space is available */
+    /* Checks behind of the side lane space to see how much space is available */
     let behindSpaces = 0;
-    let leftLaneCheckIndex = laneX;
-    while (leftLaneData[leftLaneCheckIndex] == null && leftLaneCheckIndex > 0) {
+    let sideLaneCheckIndex = tailX;
+    while (sideLaneData[sideLaneCheckIndex] == null && sideLaneCheckIndex > 0) {
         behindSpaces += 1;
-        leftLaneCheckIndex--;
+        sideLaneCheckIndex--;
     }
-    laneOpenings["left_behind"] = behindSpaces;
+    laneOpenings["behind"] = behindSpaces;
 
     return laneOpenings;
 }
 
+/**
+ * Adds up the open spaces found by getSideOpenSpaces.
+ * @param spaces result of getSideOpenSpaces.
+ * @returns {number} total open spaces, 0 if spaces is an error code.
+ */
+function countOpenSpaces(spaces) {
+    if (typeof spaces === 'number') {
+        return 0;
+    }
+    return spaces["ahead"] + spaces["behind"] + spaces["beside"];
+}
+
 /**
  * Calculates merge urgency factor based on distance to blockage.
  * As car gets closer to blockage, urgency increases (factor decreases).
@@ -172,7 +193,7 @@ function getMergeUrgency(car, road) {
 }
 
 /**
- * Checks if the car can merge left.
+ * Checks if the car can merge in the direction it is merging.
  * @param car to check for.
  * @param road to check on.
  * @returns {boolean}
@@ -181,6 +202,14 @@ function canMerge(car, road) {
     if (!(car instanceof Car)) {
         return false;
     }
+    let direction = car.getMergeDirection();
+    if (direction === 0) {
+        return false;
+    }
+    if (road instanceof Road &&
+        !road.canChangeLane(car.getLaneN(), car.getLaneX(), car.getLaneN() + direction)) {
+        return false;
+    }
 
     // Calculate urgency based on proximity to blockage
     let urgencyFactor = getMergeUrgency(car, road);
@@ -189,22 +218,25 @@ function canMerge(car, road) {
     let desiredSpaces = car.getDesiredMergeSpace(road, urgencyFactor);
 
     // If traffic is moving slow enough, reduce requirements further
-    let leftSpeed = getLeft10AverageSpeed(car, road);
-    if (leftSpeed >= 0 && leftSpeed <= 1 && desiredSpaces > 2) {
+    let sideSpeed = getSide10AverageSpeed(car, road, direction);
+    if (sideSpeed >= 0 && sideSpeed <= 1 && desiredSpaces > 2) {
         desiredSpaces = 2;
     }
 
-    let spaces = getLeftOpenSpaces(road, car.getLaneN(), car.getLaneX());
+    // Long vehicles need the same room around them as a car, plus their own length
+    desiredSpaces += car.length - 1;
+
+    let spaces = getSideOpenSpaces(road, car.getLaneN(), car.getLaneX(), direction, car.length);
 
     // Cooperative cars respect the quota system unless desperate
-    if (!checkUnderCarLeftQuota(car, road, spaces) && leftSpeed <= MAX_SPEED / 2) {
+    if (!checkUnderCarQuota(car, road, spaces, direction) && sideSpeed <= MAX_SPEED / 2) {
         // TODO: Unsure if the quota system makes it more or less realistic. For now leaving
         // it disabled, as it seems to make it less.
         // return false;
     }
 
     try {
-        let totSpaces = spaces["left_ahead"] + spaces["left_behind"] + spaces["left_beside"];
+        let totSpaces = spaces["ahead"] + spaces["behind"] + spaces["beside"];
         if (totSpaces >= desiredSpaces) {
             return true;
         }
@@ -218,10 +250,11 @@ function canMerge(car, road) {
  * Checks if the car quota of the car that this car would be merging in front of is met.
  * @param car to check.
  * @param road to check.
- * @param spaces around the car.
+ * @param spaces around the car, from getSideOpenSpaces.
+ * @param direction the car is merging in, -1 for left, 1 for right.
  * @returns {boolean}
  */
-function checkUnderCarLeftQuota(car, road, spaces) {
+function checkUnderCarQuota(car, road, spaces, direction) {
     if (!(car instanceof Car)) {
         return true;  // No valid car to check, allow merge
     }
@@ -231,7 +264,7 @@ function checkUnderCarLeftQuota(car, road, spaces) {
 
     let spacesBehind;
     try {
-        spacesBehind = spaces["left_behind"];
+        spacesBehind = spaces["behind"];
     } catch (e) {
         return true;  // Can't get spaces, allow merge
     }
@@ -243,14 +276,14 @@ function checkUnderCarLeftQuota(car, road, spaces) {
     let totLanes = road.roadSpace.length;
     let carLane = car.getLaneN();
     let carX = car.getLaneX();
-    if (carLane <= 0 || carLane >= totLanes) {
+    let laneNCheck = carLane + direction;
+    if (laneNCheck < 0 || laneNCheck >= totLanes) {
         return true;  // Invalid lane, allow merge
     }
-    let totLaneX = road.roadSpace[carLane - 1].length;
-    let laneNCheck = carLane - 1;
-    let laneXCheck = carX - spacesBehind;
+    let totLaneX = road.roadSpace[laneNCheck].length;
+    let laneXCheck = Math.max(0, car.getTailX()) - spacesBehind;
 
-    if (laneXCheck < 0 || laneNCheck >= totLaneX) {
+    if (laneXCheck < 0 || laneXCheck >= totLaneX) {
         return true;  // Out of bounds, no car to check, allow merge
     }
     let target = road.roadSpace[laneNCheck][laneXCheck];
@@ -266,7 +299,8 @@ function checkUnderCarLeftQuota(car, road, spaces) {
 }
 
 /**
- * Checks if there exists a car in the lane to the right that should be let in.
+ * Checks if there exists a car in a lane next to this one that is trying to merge in and
+ * should be let in.
  * @param car to check from.
  * @param road to check on.
  * @returns {boolean}
@@ -282,21 +316,34 @@ function shouldLetCarIn(car, road) {
         return false;
     }
 
+    // Cars on the right merge left into this lane, cars on the left merge right
+    return hasCarMergingIn(car, road, 1) || hasCarMergingIn(car, road, -1);
+}
+
+/**
+ * Checks if the next car ahead in the lane to one side of a car is indicating a merge into
+ * that car's lane.
+ * @param car to check from.
+ * @param road to check on.
+ * @param side lane to look in, -1 for the left lane, 1 for the right.
+ * @returns {boolean}
+ */
+function hasCarMergingIn(car, road, side) {
     let currentLane = car.getLaneN();
     let currentLaneX = car.getLaneX();
 
-    let totLanes = road.roadSpace.length;
-    if (currentLane >= totLanes - 1) {
+    let sideLane = currentLane + side;
+    if (sideLane < 0 || sideLane >= road.roadSpace.length) {
         return false;
     }
 
-    let nextLaneOver = road.roadSpace[currentLane + 1];
+    let nextLaneOver = road.roadSpace[sideLane];
     let roadWidth = nextLaneOver.length;
     if (currentLaneX + 1 >= roadWidth - 1) {
         return false;
     }
 
-    let distanceAhead = getDistance(road, currentLane + 1, currentLaneX + 1, SpaceType.All);
+    let distanceAhead = getDistance(road, sideLane, currentLaneX + 1, SpaceType.All);
     if (distanceAhead < 0) {
         distanceAhead = roadWidth;
     }
@@ -304,7 +351,7 @@ function shouldLetCarIn(car, road) {
 
     for (let i = currentLaneX + 1; i <= roadXComp; i++) {
         let space = nextLaneOver[i];
-        if (space instanceof Car && space.isIndicating()) {
+        if (space instanceof Car && space.isIndicating() && space.getMergeDirection() === -side) {
             return true;
         }
     }
@@ -312,12 +359,13 @@ function shouldLetCarIn(car, road) {
 }
 
 /**
- * Gets the average speed of cars in the left lane within 10 spaces of the car.
+ * Gets the average speed of cars in the lane to one side within 10 spaces of the car.
  * @param car to check from.
  * @param road to check on.
+ * @param direction side to check, -1 for the left lane, 1 for the right.
  * @returns {number} average speed, or -1 if no cars found.
  */
-function getLeft10AverageSpeed(car, road) {
+function getSide10AverageSpeed(car, road, direction) {
     if (!(car instanceof Car)) {
         return -1;
     }
@@ -328,13 +376,14 @@ function getLeft10AverageSpeed(car, road) {
     let currentLane = car.getLaneN();
     let currentLaneX = car.getLaneX();
 
-    // Can't check left if already in leftmost lane
-    if (currentLane <= 0) {
+    // Can't check past the leftmost or rightmost lane
+    let sideLaneN = currentLane + direction;
+    if (direction === 0 || sideLaneN < 0 || sideLaneN >= road.roadSpace.length) {
         return -1;
     }
 
-    let leftLane = road.roadSpace[currentLane - 1];
-    let roadWidth = leftLane.length;
+    let sideLane = road.roadSpace[sideLaneN];
+    let roadWidth = sideLane.length;
 
     // Check 10 spaces around the car's position
     let checkStart = Math.max(0, currentLaneX - 5);
@@ -342,10 +391,13 @@ function getLeft10AverageSpeed(car, road) {
 
     let totalSpeed = 0;
     let carCount = 0;
+    // Long vehicles take up several spaces but only count once
+    let counted = new Set();
 
     for (let i = checkStart; i < checkEnd; i++) {
-        let space = leftLane[i];
-        if (space instanceof Car) {
+        let space = sideLane[i];
+        if (space instanceof Car && !counted.has(space)) {
+            counted.add(space);
             totalSpeed += space.speed;
             carCount++;
         }
@@ -371,21 +423,21 @@ function alertRearDriver(car, road, newLane) {
         return;
     }
 
-    let currentLaneX = car.getLaneX();
+    let tailX = car.getTailX();
 
     if (newLane < 0 || newLane >= road.roadSpace.length) {
         return;
     }
-    if (currentLaneX <= 0) {
+    if (tailX <= 0) {
         return;
     }
 
     let lane = road.roadSpace[newLane];
 
     // Find the first car behind and alert them
-    for (let i = currentLaneX - 1; i >= 0; i--) {
+    for (let i = tailX - 1; i >= 0; i--) {
         let space = lane[i];
-        if (space instanceof Car) {
+        if (space instanceof Car && space !== car) {
             space.alertMerge();
             break;  // Only alert the first car behind
         }
@@ -393,29 +445,43 @@ function alertRearDriver(car, road, newLane) {
 }
 
 /**
- * Checks if a car is in the rubbernecking zone (passing the blockage area).
+ * Gets how far a car is into the rubbernecking zone, which starts beside the start of a
+ * blockage in another lane and runs RUBBERNECK_ZONE_LENGTH spaces on from there.
  * @param car to check.
  * @param road to check on.
- * @returns {boolean} true if in rubbernecking zone.
+ * @returns {number} 0 at the start of the zone to just under 1 at its end, -1 if outside.
  */
-function isInRubberneckZone(car, road) {
+function getRubberneckDepth(car, road) {
     if (!(car instanceof Car) || !(road instanceof Road)) {
-        return false;
+        return -1;
     }
 
     let carLane = car.getLaneN();
     let carX = car.getLaneX();
-    let numLanes = road.roadSpace.length;
 
-    // Only cars in non-blocked lanes (left lanes) rubberneck
-    // Blocked lanes start from the right (highest indices)
-    if (carLane >= numLanes - road.blockedLanes) {
-        return false;
+    // Only cars in non-blocked lanes rubberneck, and only at closures worth looking at
+    if (!road.rubberneck || road.isLaneClosed(carLane)) {
+        return -1;
+    }
+
+    // Find the nearest blockage start at or behind the car, in any other lane
+    let nearest = -1;
+    for (let lane = 0; lane < road.roadSpace.length; lane++) {
+        if (lane === carLane) continue;
+        let laneData = road.roadSpace[lane];
+        let firstX = Math.max(0, carX - RUBBERNECK_ZONE_LENGTH + 1);
+        for (let x = carX; x >= firstX; x--) {
+            if (laneData[x] === 0 && (x === 0 || laneData[x - 1] !== 0)) {
+                nearest = Math.max(nearest, x);
+                break;
+            }
+        }
     }
 
-    // Check if car is in the rubbernecking zone (just past where blockage starts)
-    // BLOCK_START is defined in road.js as 40
-    return carX >= BLOCK_START && carX < BLOCK_START + RUBBERNECK_ZONE_LENGTH;
+    if (nearest < 0) {
+        return -1;
+    }
+    return (carX - nearest) / RUBBERNECK_ZONE_LENGTH;
 }
 
 /**
@@ -439,29 +505,34 @@ function effectSpeed(car, road) {
         return;
     }
 
-    let actualDistanceFeet = actualDistanceSpaces * road.getSpaceSize();
+    // Counting how far each car is through its space, or the car could drive on into the car
+    // ahead when that has only just moved into the next space
+    let actualDistanceFeet = actualDistanceSpaces < 100 ?
+        getLeaderGap(car, road, actualDistanceSpaces).gap : actualDistanceSpaces * road.getSpaceSize();
     let difference = actualDistanceFeet - desiredDistance;
 
-    // Speed matching: When merging, blend toward left lane speed
-    if (car.getState() === State.Merge) {
-        let leftLaneSpeed = getLeft10AverageSpeed(car, road);
-        if (leftLaneSpeed >= 0) {
-            // Calculate how much to adjust toward left lane speed
-            let speedDiff = leftLaneSpeed - car.speed;
-            // Blend: 30% toward left lane speed per update for smooth transition
+    // Speed matching: When merging, blend toward the target lane speed
+    if (car.isMerging()) {
+        let targetLaneSpeed = getSide10AverageSpeed(car, road, car.getMergeDirection());
+        if (targetLaneSpeed >= 0) {
+            // Calculate how much to adjust toward target lane speed
+            let speedDiff = targetLaneSpeed - car.speed;
+            // Blend: 30% toward target lane speed per update for smooth transition
             let speedMatchAdjustment = speedDiff * 0.3;
             // Combine following distance adjustment with speed matching
             // Weight speed matching more as urgency increases
             let urgency = getMergeUrgency(car, road);
             let speedMatchWeight = 1 - urgency; // Higher urgency = more speed matching
-            difference = difference * (1 - speedMatchWeight) + speedMatchAdjustment * speedMatchWeight * 10;
+            // Never closer to what is ahead than the following distance alone would go
+            let blended = difference * (1 - speedMatchWeight) + speedMatchAdjustment * speedMatchWeight * 10;
+            difference = Math.min(difference, blended);
         }
     }
 
     // Rubbernecking effect: slow down when passing the blockage zone
-    if (isInRubberneckZone(car, road)) {
-        // Calculate how deep into the rubberneck zone (0 to 1)
-        let depthInZone = (car.getLaneX() - BLOCK_START) / RUBBERNECK_ZONE_LENGTH;
+    let depthInZone = getRubberneckDepth(car, road);
+    if (depthInZone >= 0) {
+        // depthInZone is how deep into the rubberneck zone (0 to 1)
         // Peak rubbernecking at the start of the zone, fading out
         let rubberneckIntensity = 1 - depthInZone;
         // Calculate speed reduction needed
@@ -496,8 +567,14 @@ function effectMergeState(car, road) {
     let currentState = car.getState();
 
     if (difference <= 0) {
-        if (currentState !== State.Merge) {
-            car.setState(State.Merge);
+        let direction = road.getMergeDirection(car.getLaneN(), car.getLaneX(),
+                                               car.getMergeDirection());
+        let mergeState = direction > 0 ? State.Right : State.Merge;
+        if (direction === 0) {
+            mergeState = State.Default;
+        }
+        if (currentState !== mergeState) {
+            car.setState(mergeState);
         }
     } else {
         if (currentState !== State.Default) {
@@ -0,0 +1,41 @@
+/**
+ * Simulated clock shared by a simulation, its road and its cars. Time only moves when the
+ * simulation steps it, so results do not depend on wall time, tab throttling or how fast
+ * the machine is.
+ */
+class SimulationClock {
+    // Elapsed simulated time in milliseconds.
+    time = 0;
+
+    /**
+     * Advances the clock.
+     * @param {number} dtSeconds - Simulated seconds to advance by.
+     */
+    advance(dtSeconds) {
+        if (!(dtSeconds > 0)) return;
+        this.time += dtSeconds * 1000;
+    }
+
+    /**
+     * Gets the current simulated time, in the same units as Date.getTime().
+     * @returns {number} milliseconds since the simulation started.
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Gets the current simulated time in seconds.
+     * @returns {number}
+     */
+    getSeconds() {
+        return this.time / 1000;
+    }
+
+    /**
+     * Resets the clock back to zero.
+     */
+    reset() {
+        this.time = 0;
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Demand generation: how far apart cars arrive, and how demand changes over a run. Demand is
+ * given in vehicles per hour, and a profile ramps it up to a peak, holds it, then lets it
+ * decay again:
+ *
+ *   {baseFlow: 2400, peakFlow: 7200, start: 60, rampUp: 120, hold: 300, decay: 120}
+ *
+ * runs at 2400 veh/h for a minute, climbs to 7200 veh/h over two minutes, holds for five and
+ * falls back to 2400 veh/h over the next two.
+ */
+
+// Ways the time between arrivals can be spread.
+const HeadwayDistribution = {
+    // Evenly spaced arrivals, one every mean headway.
+    Fixed: 'fixed',
+    // Poisson arrivals, headways are exponential so cars bunch up and leave long gaps.
+    Poisson: 'poisson',
+    // Exponential headways shifted by a minimum headway, no two cars arrive closer than it.
+    ShiftedExponential: 'shiftedExponential',
+}
+
+const MS_PER_HOUR = 3600000;
+// Minimum headway of shifted exponential arrivals, in seconds.
+const DEFAULT_MIN_HEADWAY = 1;
+
+/**
+ * Draws the time until the next arrival.
+ * @param {string} distribution - A HeadwayDistribution.
+ * @param {number} meanHeadway - Mean time between arrivals, in ms.
+ * @param {number} minHeadway - Shortest time between arrivals for shifted exponential
+ * headways, in ms. Capped at the mean, so the mean always holds.
+ * @param {function(): number} random - Random number generator.
+ * @returns {number} ms until the next arrival.
+ */
+function sampleHeadway(distribution, meanHeadway, minHeadway, random) {
+    switch (distribution) {
+        case HeadwayDistribution.Fixed:
+            return meanHeadway;
+        case HeadwayDistribution.Poisson:
+            return -meanHeadway * Math.log(1 - random());
+        case HeadwayDistribution.ShiftedExponential: {
+            const shift = Math.min(minHeadway, meanHeadway);
+            return shift - (meanHeadway - shift) * Math.log(1 - random());
+        }
+        default:
+            throw new Error(`Unknown headway distribution '${distribution}'`);
+    }
+}
+
+/**
+ * Throws if a demand profile is malformed, so a bad one fails when it is set rather than
+ * minutes into a run.
+ * @param {Object} profile - Profile to check.
+ */
+function validateDemandProfile(profile) {
+    for (let key of ['baseFlow', 'peakFlow']) {
+        if (profile[key] !== undefined && !(profile[key] >= 0)) {
+            throw new Error(`Demand profile: ${key} must be 0 or more vehicles per hour, got '${profile[key]}'`);
+        }
+    }
+    if (profile.peakFlow === undefined) {
+        throw new Error('Demand profile: peakFlow is needed');
+    }
+    for (let key of ['start', 'rampUp', 'hold', 'decay']) {
+        if (profile[key] !== undefined && !(profile[key] >= 0)) {
+            throw new Error(`Demand profile: ${key} must be 0 or more seconds, got '${profile[key]}'`);
+        }
+    }
+}
+
+/**
+ * Checks a lane split, throwing if it is malformed.
+ * @param {number[]|null} laneSplit - Share of arrivals for each lane, or null for even.
+ * @returns {number[]|null} the lane split.
+ */
+function validateLaneSplit(laneSplit) {
+    if (laneSplit === null) return null;
+    if (!Array.isArray(laneSplit) || laneSplit.some(share => !(share >= 0))) {
+        throw new Error('Lane split must be a list of shares of 0 or more, one per lane');
+    }
+    if (!laneSplit.some(share => share > 0)) {
+        throw new Error('Lane split needs at least one lane with a share above 0');
+    }
+    return laneSplit;
+}
+
+/**
+ * Gets the demand of a profile at a point in the run.
+ * @param {Object} profile - Demand profile, see the top of this file. Flows are in vehicles
+ * per hour and times in seconds: baseFlow (default 0), peakFlow, start (default 0), rampUp
+ * (default 0), hold (default forever) and decay (default 0).
+ * @param {number} seconds - Simulated seconds since the run started.
+ * @returns {number} vehicles per hour.
+ */
+function getProfileFlow(profile, seconds) {
+    const base = profile.baseFlow ?? 0;
+    const peak = profile.peakFlow;
+    const rampUp = profile.rampUp ?? 0;
+    const hold = profile.hold ?? Infinity;
+    const decay = profile.decay ?? 0;
+
+    let t = seconds - (profile.start ?? 0);
+    if (t < 0) return base;
+    if (t < rampUp) return base + (peak - base) * t / rampUp;
+    t -= rampUp;
+    if (t < hold) return peak;
+    t -= hold;
+    if (t < decay) return peak - (peak - base) * t / decay;
+    return base;
+}
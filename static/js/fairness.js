@@ -0,0 +1,167 @@
+/**
+ * Fairness measures, which say how evenly travel time is shared between drivers. A measure is
+ * an object with a label, the score of perfectly equal travel times and a compute(times)
+ * function, and the panels and charts pick one by name. Every measure gives its perfect score
+ * when there are fewer than 2 times.
+ */
+
+// Built in fairness measures.
+const FairnessMetric = {
+    // The original score, 1 / (1 + coefficient of variation), 1 is fair.
+    CV: 'cv',
+    // Jain's fairness index, (sum x)^2 / (n * sum x^2), 1 is fair and 1 / n is as unfair as it gets.
+    Jain: 'jain',
+    // Gini coefficient, 0 is fair and towards 1 a few drivers take most of the time.
+    Gini: 'gini',
+    // 95th percentile over median travel time, 1 is fair, 2 means the slowest 5% take twice as long.
+    TailRatio: 'p95Median',
+}
+
+const fairnessMetrics = {};
+
+/**
+ * Registers a fairness measure so it can be picked by name.
+ * @param {string} name - Name to pick the measure by.
+ * @param {{label: string, perfect: number, compute: function(number[]): number}} metric -
+ * The measure.
+ */
+function registerFairnessMetric(name, metric) {
+    if (typeof metric.compute !== 'function') {
+        throw new Error(`Fairness measure '${name}' has no compute function`);
+    }
+    fairnessMetrics[name] = metric;
+}
+
+/**
+ * Gets a registered fairness measure.
+ * @param {string} name - Name the measure was registered under.
+ * @returns {Object} the measure.
+ */
+function getFairnessMetric(name) {
+    const metric = fairnessMetrics[name];
+    if (metric === undefined) {
+        throw new Error(`Unknown fairness measure '${name}'`);
+    }
+    return metric;
+}
+
+/**
+ * Gets the names of every registered fairness measure.
+ * @returns {string[]}
+ */
+function getFairnessMetricNames() {
+    return Object.keys(fairnessMetrics);
+}
+
+/**
+ * Gets Jain's fairness index of a set of travel times.
+ * @param {number[]} times - Travel times.
+ * @returns {number} 1 if all the same, down to 1 / n.
+ */
+function getJainIndex(times) {
+    if (times.length < 2) return 1;
+    const sum = times.reduce((total, t) => total + t, 0);
+    const sumOfSquares = times.reduce((total, t) => total + t * t, 0);
+    return sumOfSquares === 0 ? 1 : (sum * sum) / (times.length * sumOfSquares);
+}
+
+/**
+ * Gets the Gini coefficient of a set of travel times.
+ * @param {number[]} times - Travel times.
+ * @returns {number} 0 if all the same, towards 1 the more unequal.
+ */
+function getGiniCoefficient(times) {
+    if (times.length < 2) return 0;
+    const sorted = [...times].sort((a, b) => a - b);
+    const n = sorted.length;
+    let sum = 0;
+    let weighted = 0;
+    sorted.forEach((t, i) => {
+        sum += t;
+        weighted += (2 * (i + 1) - n - 1) * t;
+    });
+    return sum === 0 ? 0 : weighted / (n * sum);
+}
+
+/**
+ * Gets a percentile of a set of values by nearest rank.
+ * @param {number[]} sorted - Values, sorted ascending.
+ * @param {number} percentile - Percentile to get, 0 to 100.
+ * @returns {number}
+ */
+function getPercentile(sorted, percentile) {
+    const rank = Math.ceil(percentile / 100 * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Gets how much longer the slowest trips take than the typical one.
+ * @param {number[]} times - Travel times.
+ * @returns {number} 95th percentile over median travel time, 1 if all the same.
+ */
+function getTailRatio(times) {
+    if (times.length < 2) return 1;
+    const sorted = [...times].sort((a, b) => a - b);
+    const median = getPercentile(sorted, 50);
+    return median === 0 ? 1 : getPercentile(sorted, 95) / median;
+}
+
+/**
+ * Compares travel times by the lane cars started in, to see whether drivers who started in a
+ * closed lane come out ahead of those who started in an open one, or behind them.
+ * @param {{startLane: number, travelTime: number}[]} cars - Finished cars.
+ * @param {number} numLanes - Lanes on the road.
+ * @param {number[]} closedLanes - Lanes that are closed.
+ * @returns {{meanTravelTimes: (number|null)[], counts: number[], closedOpenRatio: number|null}}
+ * mean travel time and number of cars per start lane, null for lanes no car finished from, and
+ * the mean travel time of cars that started in a closed lane over that of the rest. Above 1
+ * they lose out, below 1 they are advantaged, null if either side has no cars.
+ */
+function getLaneEquity(cars, numLanes, closedLanes) {
+    const sums = new Array(numLanes).fill(0);
+    const counts = new Array(numLanes).fill(0);
+    let closedSum = 0, closedCount = 0, openSum = 0, openCount = 0;
+    for (let car of cars) {
+        if (car.startLane === undefined || car.startLane >= numLanes) continue;
+        sums[car.startLane] += car.travelTime;
+        counts[car.startLane]++;
+        if (closedLanes.includes(car.startLane)) {
+            closedSum += car.travelTime;
+            closedCount++;
+        } else {
+            openSum += car.travelTime;
+            openCount++;
+        }
+    }
+    return {
+        meanTravelTimes: sums.map((sum, lane) => counts[lane] > 0 ? sum / counts[lane] : null),
+        counts: counts,
+        closedOpenRatio: closedCount > 0 && openCount > 0 && openSum > 0
+            ? (closedSum / closedCount) / (openSum / openCount)
+            : null,
+    };
+}
+
+registerFairnessMetric(FairnessMetric.CV, {
+    label: '1 / (1 + CV)',
+    perfect: 1,
+    compute: getTravelTimeFairness,
+});
+
+registerFairnessMetric(FairnessMetric.Jain, {
+    label: "Jain's index",
+    perfect: 1,
+    compute: getJainIndex,
+});
+
+registerFairnessMetric(FairnessMetric.Gini, {
+    label: 'Gini coefficient',
+    perfect: 0,
+    compute: getGiniCoefficient,
+});
+
+registerFairnessMetric(FairnessMetric.TailRatio, {
+    label: 'p95 / median',
+    perfect: 1,
+    compute: getTailRatio,
+});
@@ -0,0 +1,91 @@
+/**
+ * Lets the user place and remove blockages on a simulation's canvas while it runs. Click a
+ * space to toggle it, or drag across spaces to paint (or erase, if the drag started on a
+ * blockage).
+ */
+class IncidentEditor {
+    simulation = null;
+    canvas = null;
+    // Whether the current drag places (true) or removes (false) blockages, null when idle.
+    painting = null;
+    lastSpace = null;
+    // Off while the canvas shows something other than the live road, such as a replay.
+    enabled = true;
+
+    /**
+     * Attaches an editor to a simulation's canvas.
+     * @param {Simulation} simulation - Simulation whose road gets edited.
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.canvas = simulation.canvas;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+
+        this.canvas.classList.add('editable');
+        this.canvas.addEventListener('pointerdown', this.onPointerDown);
+        this.canvas.addEventListener('pointermove', this.onPointerMove);
+        this.canvas.addEventListener('pointerup', this.onPointerUp);
+        this.canvas.addEventListener('pointercancel', this.onPointerUp);
+    }
+
+    /**
+     * Gets the road space under a pointer event, the canvas may be scaled by CSS.
+     * @param {PointerEvent} event - Pointer event on the canvas.
+     * @returns {{lane: number, laneX: number}|null} the space, or null if off the road.
+     */
+    getSpace(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+
+        const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (event.clientY - rect.top) * this.canvas.height / rect.height;
+        const lane = Math.floor(y / LANE_HEIGHT);
+        const laneX = Math.floor(x / SPACE_WIDTH);
+
+        const road = this.simulation.road;
+        if (lane < 0 || lane >= road.roadSpace.length || laneX < 0 || laneX >= road.length) {
+            return null;
+        }
+        return {lane: lane, laneX: laneX};
+    }
+
+    /**
+     * Applies the current paint mode to a space, once per space per drag.
+     * @param {{lane: number, laneX: number}} space - Space to edit.
+     */
+    paint(space) {
+        if (this.lastSpace && this.lastSpace.lane === space.lane &&
+            this.lastSpace.laneX === space.laneX) {
+            return;
+        }
+        this.lastSpace = space;
+        this.simulation.road.setBlockage(space.lane, space.laneX, this.painting);
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled) return;
+        const space = this.getSpace(event);
+        if (space === null) return;
+
+        // Starting on a blockage erases, starting anywhere else places
+        this.painting = !this.simulation.road.isBlocked(space.lane, space.laneX);
+        this.lastSpace = null;
+        this.canvas.setPointerCapture?.(event.pointerId);
+        this.paint(space);
+        event.preventDefault();
+    }
+
+    onPointerMove(event) {
+        if (this.painting === null) return;
+        const space = this.getSpace(event);
+        if (space !== null) this.paint(space);
+    }
+
+    onPointerUp() {
+        this.painting = null;
+        this.lastSpace = null;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Lane-change models, which decide whether a car that wants to merge can go now. A model is an
+ * object with a label and a canMerge(car, road) function, and a simulation picks one by name.
+ */
+
+// Built in lane-change models.
+const LaneChangeModel = {
+    // The original rule in carLogic.js, counts open spaces beside the car.
+    GapCount: 'gapCount',
+    // MOBIL (Kesting, Treiber & Helbing, 2007), weighs the gain against the braking it causes.
+    MOBIL: 'mobil',
+}
+
+// Hardest braking a merge may force on the car it cuts in front of, in feet per second squared.
+const MOBIL_MAX_SAFE_BRAKING = 13;
+// Acceleration gain a merge has to bring before a driver bothers, in feet per second squared.
+const MOBIL_THRESHOLD = 0.3;
+// Extra gain a driver sees in merging because their lane is ending, in feet per second squared.
+const MOBIL_MERGE_BIAS = 1;
+
+const laneChangeModels = {};
+
+/**
+ * Registers a lane-change model so simulations can pick it by name.
+ * @param name to pick the model by.
+ * @param model object with a label and a canMerge(car, road) function.
+ */
+function registerLaneChangeModel(name, model) {
+    if (typeof model.canMerge !== 'function') {
+        throw new Error(`Lane-change model '${name}' has no canMerge function`);
+    }
+    laneChangeModels[name] = model;
+}
+
+/**
+ * Gets a registered lane-change model.
+ * @param name the model was registered under.
+ * @returns {Object} the model.
+ */
+function getLaneChangeModel(name) {
+    let model = laneChangeModels[name];
+    if (model === undefined) {
+        throw new Error(`Unknown lane-change model '${name}'`);
+    }
+    return model;
+}
+
+/**
+ * Gets the names of every registered lane-change model.
+ * @returns {string[]}
+ */
+function getLaneChangeModelNames() {
+    return Object.keys(laneChangeModels);
+}
+
+/**
+ * Gets whatever is ahead of a space in a lane.
+ * @param road to look on.
+ * @param lane to look in.
+ * @param laneX position to look ahead from.
+ * @returns {{gap: number, speed: number}|null} gap in feet and speed, 0 for a blockage, or
+ * null if the lane is open to the end of the road.
+ */
+function getNeighborAhead(road, lane, laneX) {
+    let spaces = getDistance(road, lane, laneX, SpaceType.All);
+    if (spaces < 0 || spaces >= 100) {
+        return null;
+    }
+    let ahead = road.roadSpace[lane][laneX + spaces + 1];
+    return {
+        gap: spaces * road.getSpaceSize(),
+        speed: ahead instanceof Car ? ahead.speed : 0,
+    };
+}
+
+/**
+ * Gets the nearest car behind a space in a lane.
+ * @param road to look on.
+ * @param lane to look in.
+ * @param laneX position to look behind from.
+ * @returns {{car: Car, gap: number}|null} the car and its gap to the space in feet, or null if
+ * there is none before the start of the road or a blockage.
+ */
+function getNeighborBehind(road, lane, laneX) {
+    let laneData = road.roadSpace[lane];
+    for (let x = laneX - 1; x >= 0; x--) {
+        if (laneData[x] instanceof Car) {
+            return {car: laneData[x], gap: (laneX - x - 1) * road.getSpaceSize()};
+        }
+        if (laneData[x] === 0) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks if a car can merge with a MOBIL-style rule. The merge has to be safe, so the car it
+ * cuts in front of never has to brake harder than MOBIL_MAX_SAFE_BRAKING, and worth it, so
+ * the car's own gain plus its politeness times the gain of the cars behind it beats
+ * MOBIL_THRESHOLD. Politeness is the car's cooperation. Accelerations come from the IDM, and a
+ * blockage ahead counts as a stopped car, so the gain grows as a closed lane runs out.
+ * @param car to check for.
+ * @param road to check on.
+ * @returns {boolean}
+ */
+function canMergeMOBIL(car, road) {
+    if (!(car instanceof Car) || !(road instanceof Road)) {
+        return false;
+    }
+    let direction = car.getMergeDirection();
+    if (direction === 0) {
+        return false;
+    }
+
+    let lane = car.getLaneN();
+    let laneX = car.getLaneX();
+    let targetLane = lane + direction;
+    if (!road.canChangeLane(lane, laneX, targetLane) || !road.isFootprintFree(car, targetLane, laneX)) {
+        return false;
+    }
+    // Followers are behind the back of the car, which is further back for long vehicles
+    let tailX = Math.max(0, car.getTailX());
+
+    let params = getIDMParameters(car);
+    let leader = getNeighborAhead(road, lane, laneX);
+    let newLeader = getNeighborAhead(road, targetLane, laneX);
+
+    // Safety: neither the car nor its new follower may have to brake too hard
+    let accelerationAfter = getIDMAcceleration(params, car.speed, newLeader);
+    if (accelerationAfter < -MOBIL_MAX_SAFE_BRAKING) {
+        return false;
+    }
+
+    let followersGain = 0;
+    let newFollower = getNeighborBehind(road, targetLane, tailX);
+    if (newFollower !== null) {
+        let follower = newFollower.car;
+        let followerParams = getIDMParameters(follower);
+        let before = getIDMAcceleration(followerParams, follower.speed,
+                                        getNeighborAhead(road, targetLane, follower.getLaneX()));
+        let after = getIDMAcceleration(followerParams, follower.speed,
+                                       {gap: newFollower.gap, speed: car.speed});
+        if (after < -MOBIL_MAX_SAFE_BRAKING) {
+            return false;
+        }
+        followersGain += after - before;
+    }
+
+    // The car behind in the current lane gets the car's gap once it leaves
+    let oldFollower = getNeighborBehind(road, lane, tailX);
+    if (oldFollower !== null) {
+        let follower = oldFollower.car;
+        let followerParams = getIDMParameters(follower);
+        let before = getIDMAcceleration(followerParams, follower.speed,
+                                        {gap: oldFollower.gap, speed: car.speed});
+        let after = getIDMAcceleration(followerParams, follower.speed, leader === null ? null : {
+            gap: oldFollower.gap + (laneX - tailX + 1) * road.getSpaceSize() + leader.gap,
+            speed: leader.speed,
+        });
+        followersGain += after - before;
+    }
+
+    // Incentive
+    let accelerationBefore = getIDMAcceleration(params, car.speed, leader);
+    let gain = accelerationAfter - accelerationBefore + car.getCooperation() * followersGain;
+    return gain + MOBIL_MERGE_BIAS > MOBIL_THRESHOLD;
+}
+
+registerLaneChangeModel(LaneChangeModel.GapCount, {
+    label: 'Gap count',
+    canMerge: (car, road) => canMerge(car, road),
+});
+
+registerLaneChangeModel(LaneChangeModel.MOBIL, {
+    label: 'MOBIL',
+    canMerge: canMergeMOBIL,
+});
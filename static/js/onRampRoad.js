@@ -0,0 +1,92 @@
+/**
+ * An on-ramp: a ramp lane on the right that runs beside the mainline behind a painted island,
+ * joins it for an acceleration lane, and then ends. Ramp cars enter slower and have to merge
+ * left before the acceleration lane runs out.
+ */
+
+// Spaces the ramp runs beside the mainline before it joins (the painted island).
+const DEFAULT_RAMP_LENGTH = 15;
+// Spaces of acceleration lane after the ramp joins.
+const DEFAULT_ACCELERATION_LANE_LENGTH = 20;
+// Speed ramp cars enter at, in feet per second.
+const DEFAULT_RAMP_ENTRY_SPEED = 40;
+
+/**
+ * A road whose rightmost lane is an on-ramp.
+ */
+class OnRampRoad extends Road {
+    // Index of the ramp lane, always the rightmost.
+    rampLane = 0;
+    // First space where ramp cars may merge, where the painted island ends.
+    mergeStart = DEFAULT_RAMP_LENGTH;
+    accelerationLaneLength = DEFAULT_ACCELERATION_LANE_LENGTH;
+    rampEntrySpeed = DEFAULT_RAMP_ENTRY_SPEED;
+    // A lane ending at a ramp is not an incident, nobody slows to look at it.
+    rubberneck = false;
+
+    /**
+     * Creates an on-ramp road.
+     * @param mainlineLanes number of mainline lanes, the ramp lane is added to the right.
+     * @param spaceSize size of each space in feet.
+     * @param options optional settings, as for Road, plus:
+     *  rampLength - spaces before the ramp joins the mainline (default DEFAULT_RAMP_LENGTH).
+     *  accelerationLaneLength - spaces of acceleration lane (default
+     *  DEFAULT_ACCELERATION_LANE_LENGTH).
+     *  rampEntrySpeed - speed ramp cars enter at, in feet per second (default
+     *  DEFAULT_RAMP_ENTRY_SPEED).
+     */
+    constructor(mainlineLanes, spaceSize, options = {}) {
+        let rampLength = Math.max(1, Math.round(options.rampLength ?? DEFAULT_RAMP_LENGTH));
+        let accelerationLaneLength = Math.max(1, Math.round(options.accelerationLaneLength ??
+                                                            DEFAULT_ACCELERATION_LANE_LENGTH));
+
+        // The end of the ramp lane is a closure that runs to the end of the road
+        super(mainlineLanes + 1, 0, spaceSize, {
+            ...options,
+            closedLanes: [mainlineLanes],
+            closureStart: rampLength + accelerationLaneLength,
+            closureLength: undefined,
+        });
+
+        this.rampLane = mainlineLanes;
+        this.mergeStart = Math.min(rampLength, this.closureStart);
+        this.accelerationLaneLength = this.closureStart - this.mergeStart;
+        this.rampEntrySpeed = options.rampEntrySpeed ?? DEFAULT_RAMP_ENTRY_SPEED;
+    }
+
+    /**
+     * Mainline cars enter in the mainline lanes only, ramp cars are added separately.
+     * @returns {number[]} lane indices.
+     */
+    getEntryLanes() {
+        return super.getEntryLanes().filter(lane => lane !== this.rampLane);
+    }
+
+    /**
+     * Nobody can cross the painted island between the ramp and the mainline.
+     * @param lane the car is in.
+     * @param laneX position of the car in the lane.
+     * @param targetLane lane the car wants to move into.
+     * @returns {boolean}
+     */
+    canChangeLane(lane, laneX, targetLane) {
+        if ((lane === this.rampLane || targetLane === this.rampLane) && laneX < this.mergeStart) {
+            return false;
+        }
+        return super.canChangeLane(lane, laneX, targetLane);
+    }
+
+    /**
+     * Adds a car to the road, ramp cars enter at the ramp entry speed.
+     * @param car to add to road.
+     * @param lane to add the car in, a random open mainline lane if not given.
+     * @returns {boolean} true if the car was added.
+     */
+    addCar(car, lane = this.getRandomLane()) {
+        let added = super.addCar(car, lane);
+        if (added && lane === this.rampLane) {
+            car.speed = Math.min(car.speed, this.rampEntrySpeed);
+        }
+        return added;
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Moves the configuration of the page's simulations in and out of the page: share links, which
+ * carry every option of both simulations in the URL hash, and setting a panel's controls to
+ * match its simulation after its options were changed from outside them.
+ *
+ * A link holds one entry per option, prefixed with the panel it belongs to and with a JSON
+ * value, e.g. #1.mergeTendency=0.9&1.seed=1234&2.mergeTendency=0.2.
+ */
+
+/**
+ * Builds the hash of a share link.
+ * @param {Object[]} panels - Options of each panel's simulation, see Simulation.getOptions.
+ * @returns {string} the hash, without the leading '#'.
+ */
+function encodeShareHash(panels) {
+    const params = new URLSearchParams();
+    panels.forEach((options, i) => {
+        for (let [name, value] of Object.entries(options)) {
+            if (value !== undefined) params.set(`${i + 1}.${name}`, JSON.stringify(value));
+        }
+    });
+    return params.toString();
+}
+
+/**
+ * Reads the options in the hash of a share link. Anything that is not a Simulation option or
+ * does not parse is left out.
+ * @param {string} hash - URL hash, with or without the leading '#'.
+ * @returns {Object[]} options of each panel, indexed from 0, empty for panels it has none for.
+ */
+function decodeShareHash(hash) {
+    const panels = [];
+    for (let [key, text] of new URLSearchParams(hash.replace(/^#/, ''))) {
+        const match = /^(\d+)\.(\w+)$/.exec(key);
+        if (!match || !SIMULATION_OPTIONS.includes(match[2])) continue;
+        try {
+            const panel = parseInt(match[1], 10) - 1;
+            panels[panel] = panels[panel] ?? {};
+            panels[panel][match[2]] = JSON.parse(text);
+        } catch (e) {
+            console.warn(`Ignoring share link option '${key}': ${e.message}`);
+        }
+    }
+    return panels;
+}
+
+/**
+ * Gets the options the page's link gives a panel.
+ * @param {number} panel - Panel number, 1 or 2.
+ * @returns {Object|null} the options, or null if the link has none.
+ */
+function getSharedOptions(panel) {
+    return decodeShareHash(window.location.hash)[panel - 1] ?? null;
+}
+
+/**
+ * Sets a panel's controls to match its simulation. Controls of the first panel have no suffix
+ * on their ids, those of the second end in 2. The seed box is in the stats, so it always ends
+ * in the panel number.
+ * @param {Simulation} sim - The panel's simulation.
+ * @param {number} panel - Panel number, 1 or 2.
+ */
+function syncPanelControls(sim, panel) {
+    const suffix = panel === 1 ? '' : String(panel);
+    const setControl = (id, value, display = value) => {
+        const control = document.getElementById(id + suffix);
+        if (control.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = value;
+        }
+        const valueDisplay = document.getElementById(id + suffix + 'Value');
+        if (valueDisplay) valueDisplay.textContent = display;
+    };
+    // Demand is in cars per hour on the page and ms between cars in the simulation
+    const perHour = (interval) => interval > 0 ? Math.round(3600000 / interval) : 0;
+
+    // Drivers
+    setControl('mergeTendency', sim.mergeTendency, sim.mergeTendency.toFixed(2));
+    setControl('cooperation', sim.cooperation, sim.cooperation.toFixed(2));
+    setControl('aggressiveness', sim.aggressiveness, sim.aggressiveness.toFixed(2));
+    setControl('mergeTendencyVar', sim.mergeTendencyVariance, sim.mergeTendencyVariance.toFixed(2));
+    setControl('cooperationVar', sim.cooperationVariance, sim.cooperationVariance.toFixed(2));
+    setControl('aggressivenessVar', sim.aggressivenessVariance, sim.aggressivenessVariance.toFixed(2));
+    setControl('carFollowingModel', sim.carFollowingModel);
+    setControl('laneChangeModel', sim.laneChangeModel);
+    const behavior = sim.behaviorMix[0];
+    if (behavior) setControl('behavior', behavior.behavior);
+    const share = behavior?.fraction ?? 0;
+    setControl('behaviorShare', share, share.toFixed(2));
+
+    // Road
+    setControl('roadType', sim.roadType);
+    setControl('roadLength', sim.roadLength);
+    setControl('closureStart', sim.closureStart);
+    const closureLength = sim.closureLength ?? sim.roadLength - sim.closureStart;
+    setControl('closureLength', closureLength);
+    setControl('lanes', sim.lanes);
+    setControl('rampLength', sim.rampLength);
+    setControl('accelerationLaneLength', sim.accelerationLaneLength);
+    setControl('strictCollisions', sim.strictCollisions);
+
+    // Traffic
+    setControl('truckPercentage', sim.truckPercentage, sim.truckPercentage + '%');
+    setControl('busPercentage', sim.busPercentage, sim.busPercentage + '%');
+    setControl('motorcyclePercentage', sim.motorcyclePercentage, sim.motorcyclePercentage + '%');
+    setControl('demand', perHour(sim.carGenerationInterval));
+    setControl('rampDemand', perHour(sim.rampCarGenerationInterval));
+    setControl('headwayDistribution', sim.headwayDistribution);
+    setControl('laneSplit', sim.laneSplit ? sim.laneSplit.join(', ') : '');
+    const profile = sim.demandProfile;
+    setControl('peakDemand', profile?.peakFlow ?? 0, profile ? profile.peakFlow : 'Off');
+    if (profile) {
+        setControl('peakRampUp', profile.rampUp ?? 0);
+        setControl('peakHold', profile.hold ?? 0);
+        setControl('peakDecay', profile.decay ?? 0);
+    }
+
+    document.getElementById('script' + panel).value = sim.script ? JSON.stringify(sim.script.events) : '';
+    document.getElementById('seed' + panel).value = sim.seed;
+}
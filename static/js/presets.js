@@ -0,0 +1,230 @@
+/**
+ * Scenario presets: named configurations for both simulations on the page. A preset is an
+ * object with a label, a description and a list of simulations, each a set of Simulation
+ * options. A preset with one simulation sets up both the same way.
+ *
+ * Besides the built in presets, configurations can be saved in the browser's local storage and
+ * shared as preset files, which hold a list of presets:
+ *   {"presets": [{"name": "rush hour", "label": "Rush hour", "description": "...",
+ *                 "simulations": [{"mergeTendency": 0.9, ...}, {"mergeTendency": 0.2, ...}]}]}
+ */
+
+// Built in presets.
+const ScenarioPreset = {
+    Classic: 'classic',
+    SelfishDrivers: 'selfishDrivers',
+    HeavyDemand: 'heavyDemand',
+    ThreeLaneClosure: 'threeLaneClosure',
+}
+
+// Preset the page starts with.
+const DEFAULT_PRESET = ScenarioPreset.Classic;
+// Local storage key saved presets are kept under.
+const PRESET_STORAGE_KEY = 'zipperMergeLab.presets';
+
+const presets = {};
+
+/**
+ * Registers a preset so it can be picked by name.
+ * @param {string} name - Name to pick the preset by.
+ * @param {Object} preset - The preset, see the top of this file.
+ */
+function registerPreset(name, preset) {
+    validatePreset(name, preset);
+    presets[name] = preset;
+}
+
+/**
+ * Gets a registered preset.
+ * @param {string} name - Name the preset was registered under.
+ * @returns {Object} the preset.
+ */
+function getPreset(name) {
+    const preset = presets[name];
+    if (preset === undefined) {
+        throw new Error(`Unknown preset '${name}'`);
+    }
+    return preset;
+}
+
+/**
+ * Gets the names of every registered preset, built in ones first.
+ * @returns {string[]}
+ */
+function getPresetNames() {
+    return Object.keys(presets);
+}
+
+/**
+ * Checks a preset is well formed. Option values are only checked once they are applied.
+ * @param {string} name - Name of the preset, for error messages.
+ * @param {Object} preset - Preset to check.
+ */
+function validatePreset(name, preset) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Presets need a name');
+    }
+    if (!Array.isArray(preset?.simulations) || preset.simulations.length === 0) {
+        throw new Error(`Preset '${name}' has no simulations`);
+    }
+    for (let options of preset.simulations) {
+        if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+            throw new Error(`Preset '${name}' has a simulation that is not a set of options`);
+        }
+        for (let option of Object.keys(options)) {
+            if (!SIMULATION_OPTIONS.includes(option)) {
+                throw new Error(`Preset '${name}' has unknown option '${option}'`);
+            }
+        }
+    }
+}
+
+/**
+ * Gets the full set of options a preset gives a simulation. Options it leaves out are the
+ * defaults, except the seed, which stays as the simulation has it.
+ * @param {Object} preset - The preset.
+ * @param {number} index - Which simulation, from 0.
+ * @returns {Object} options for Simulation.setOptions.
+ */
+function getPresetOptions(preset, index) {
+    const defaults = new Simulation(null).getOptions();
+    delete defaults.seed;
+    const simulations = preset.simulations;
+    return {...defaults, ...simulations[Math.min(index, simulations.length - 1)]};
+}
+
+/**
+ * Reads the presets saved in local storage. Storage that cannot be read, e.g. because the
+ * browser blocks it, counts as empty.
+ * @returns {Object} name -> preset.
+ */
+function readSavedPresets() {
+    try {
+        return JSON.parse(window.localStorage.getItem(PRESET_STORAGE_KEY)) ?? {};
+    } catch (e) {
+        console.warn(`Could not read saved presets: ${e.message}`);
+        return {};
+    }
+}
+
+/**
+ * Registers every preset saved in local storage. Ones that are not valid are skipped.
+ */
+function loadSavedPresets() {
+    for (let [name, preset] of Object.entries(readSavedPresets())) {
+        try {
+            registerPreset(name, {...preset, saved: true});
+        } catch (e) {
+            console.warn(`Skipping saved preset: ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Saves a preset in local storage and registers it, replacing any saved one of the same name.
+ * Built in presets cannot be replaced.
+ * @param {string} name - Name to save it under, also its label.
+ * @param {Object} preset - The preset. Its label defaults to the name.
+ */
+function savePreset(name, preset) {
+    if (presets[name] && !presets[name].saved) {
+        throw new Error(`'${name}' is a built in preset, pick another name`);
+    }
+    const saved = {label: preset.label || name, description: preset.description ?? '',
+                   simulations: preset.simulations};
+    validatePreset(name, saved);
+    const stored = readSavedPresets();
+    stored[name] = saved;
+    window.localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(stored));
+    registerPreset(name, {...saved, saved: true});
+}
+
+/**
+ * Removes a saved preset from local storage and the registry.
+ * @param {string} name - Name it was saved under.
+ */
+function deleteSavedPreset(name) {
+    if (!presets[name]?.saved) {
+        throw new Error(`'${name}' is not a saved preset`);
+    }
+    delete presets[name];
+    const stored = readSavedPresets();
+    delete stored[name];
+    window.localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Writes presets as a preset file.
+ * @param {string[]} names - Names of the presets to write.
+ * @returns {string} JSON, see the top of this file.
+ */
+function presetsToJSON(names) {
+    return JSON.stringify({
+        presets: names.map((name) => {
+            const preset = getPreset(name);
+            return {name: name, label: preset.label, description: preset.description,
+                    simulations: preset.simulations};
+        }),
+    }, null, 2);
+}
+
+/**
+ * Reads a preset file. A single preset on its own, or a bare list of them, is fine too.
+ * @param {string} text - Contents of the file.
+ * @returns {Object[]} the presets, each with its name.
+ */
+function parsePresetFile(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.presets ?? [data];
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('No presets in the file');
+    }
+    for (let preset of list) {
+        validatePreset(preset?.name ?? preset?.label, preset);
+    }
+    return list.map(preset => ({...preset, name: preset.name ?? preset.label}));
+}
+
+registerPreset(ScenarioPreset.Classic, {
+    label: 'Classic zipper vs early merge',
+    description: 'Two lanes narrow to one, drivers merge at the closure on the left and as soon as they can on the right.',
+    simulations: [
+        {lanes: 2, blockedLanes: 1, spaceSize: 15, mergeTendency: 0.9, cooperation: 0.5, aggressiveness: 0.5,
+         roadLength: 50, closureStart: 40, closureLength: 10},
+        {lanes: 2, blockedLanes: 1, spaceSize: 15, mergeTendency: 0.2, cooperation: 0.5, aggressiveness: 0.5,
+         roadLength: 50, closureStart: 40, closureLength: 10},
+    ],
+});
+
+registerPreset(ScenarioPreset.SelfishDrivers, {
+    label: 'Selfish drivers',
+    description: 'The classic comparison with drivers who rarely let anyone in and follow close behind.',
+    simulations: [
+        {lanes: 2, blockedLanes: 1, spaceSize: 15, mergeTendency: 0.9, cooperation: 0.1, aggressiveness: 0.2,
+         roadLength: 50, closureStart: 40, closureLength: 10},
+        {lanes: 2, blockedLanes: 1, spaceSize: 15, mergeTendency: 0.2, cooperation: 0.1, aggressiveness: 0.2,
+         roadLength: 50, closureStart: 40, closureLength: 10},
+    ],
+});
+
+registerPreset(ScenarioPreset.HeavyDemand, {
+    label: 'Heavy demand',
+    description: 'The classic comparison with 9000 vehicles an hour arriving, a tenth of them trucks.',
+    simulations: [
+        {lanes: 2, blockedLanes: 1, spaceSize: 15, mergeTendency: 0.9, cooperation: 0.5, aggressiveness: 0.5,
+         roadLength: 50, closureStart: 40, closureLength: 10, carGenerationInterval: 400, truckPercentage: 10},
+        {lanes: 2, blockedLanes: 1, spaceSize: 15, mergeTendency: 0.2, cooperation: 0.5, aggressiveness: 0.5,
+         roadLength: 50, closureStart: 40, closureLength: 10, carGenerationInterval: 400, truckPercentage: 10},
+    ],
+});
+
+registerPreset(ScenarioPreset.ThreeLaneClosure, {
+    label: 'Three-lane closure',
+    description: 'Three lanes narrow to one on a longer approach, zipper merging on the left and early merging on the right.',
+    simulations: [
+        {lanes: 3, blockedLanes: 2, spaceSize: 15, mergeTendency: 0.9, cooperation: 0.5, aggressiveness: 0.5,
+         roadLength: 70, closureStart: 55, closureLength: 15},
+        {lanes: 3, blockedLanes: 2, spaceSize: 15, mergeTendency: 0.2, cooperation: 0.5, aggressiveness: 0.5,
+         roadLength: 70, closureStart: 55, closureLength: 15},
+    ],
+});
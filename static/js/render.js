@@ -9,10 +9,27 @@ const SPACE_WIDTH = 40;
 // Car dimensions: length along X (direction of travel), height along Y
 const CAR_LENGTH = 32;
 const CAR_HEIGHT = 14;
+// Heights of the other vehicle sprites, longer vehicles add a space width per extra space
+const TRUCK_HEIGHT = 18;
+const BUS_HEIGHT = 17;
+const MOTORCYCLE_LENGTH = 22;
+const MOTORCYCLE_HEIGHT = 6;
 
 // Lerp speed (0-1, higher = faster interpolation)
 const LERP_SPEED = 0.15;
 
+// Time-space diagram layout, in canvas pixels: one band per lane, stacked left lane first
+const TIME_SPACE_WIDTH = 1000;
+const TIME_SPACE_LANE_HEIGHT = 100;
+const TIME_SPACE_LANE_GAP = 8;
+const TIME_SPACE_MARGIN_LEFT = 50;
+const TIME_SPACE_MARGIN_RIGHT = 10;
+const TIME_SPACE_MARGIN_BOTTOM = 20;
+// Speeds are drawn from red (stopped) to green (MAX_SPEED) in this many steps
+const TIME_SPACE_SPEED_COLORS = Array.from({length: 12}, (_, i) => `hsl(${Math.round(i / 11 * 120)}, 80%, 50%)`);
+// Car layers of time-space diagrams by trajectory, see getTimeSpaceCarLayer.
+const timeSpaceCarLayers = new WeakMap();
+
 // Blinker animation (shared across all simulations)
 let blinkerState = false;
 let lastBlinkerToggle = 0;
@@ -165,36 +182,246 @@ function drawCar(ctx, car, x, y) {
     ctx.ellipse(x + 1, y + h - 3, 1.5, 2, 0, 0, Math.PI * 2);
     ctx.fill();
 
-    // Draw blinker lights if indicating (left side blinkers for merging left/up)
+    drawBlinkers(ctx, car, x, y, len, h);
+}
+
+/**
+ * Draw blinker lights if the vehicle is indicating (left side blinkers on top for merging
+ * left/up, right side blinkers on the bottom for merging right/down)
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Car} car - The vehicle to draw blinkers for.
+ * @param {number} x - X position of the vehicle.
+ * @param {number} y - Y position of the vehicle.
+ * @param {number} len - Drawn length of the vehicle.
+ * @param {number} h - Drawn height of the vehicle.
+ */
+function drawBlinkers(ctx, car, x, y, len, h) {
     if (car.isIndicating() && blinkerState) {
         ctx.fillStyle = '#ffaa00';
         ctx.shadowColor = '#ffaa00';
         ctx.shadowBlur = 8;
 
-        // Front left blinker (top-right corner)
+        const blinkerY = car.getMergeDirection() > 0 ? y + h + 1 : y - 1;
+
+        // Front blinker
         ctx.beginPath();
-        ctx.ellipse(x + len - 3, y - 1, 2, 2, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + len - 3, blinkerY, 2, 2, 0, 0, Math.PI * 2);
         ctx.fill();
 
-        // Rear left blinker (top-left corner)
+        // Rear blinker
         ctx.beginPath();
-        ctx.ellipse(x + 3, y - 1, 2, 2, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + 3, blinkerY, 2, 2, 0, 0, Math.PI * 2);
         ctx.fill();
 
         ctx.shadowBlur = 0;
     }
 }
 
+/**
+ * Draw a truck: a cab in the car's color pulling a grey trailer
+ * Truck faces RIGHT (toward +X / +laneX)
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Car} car - The truck to draw.
+ * @param {number} x - X position.
+ * @param {number} y - Y position.
+ */
+function drawTruck(ctx, car, x, y) {
+    const len = getVehicleDrawLength(car);
+    const h = TRUCK_HEIGHT;
+    const cabLength = 22;
+    const trailerLength = len - cabLength - 2;
+
+    // Shadow
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.fillRect(x + 2, y + 2, len, h);
+
+    // Wheels under the trailer and cab
+    ctx.fillStyle = '#222';
+    for (let wheelX of [x + 8, x + 20, x + trailerLength - 10, x + len - 8]) {
+        ctx.fillRect(wheelX - 4, y - 2, 8, 3);
+        ctx.fillRect(wheelX - 4, y + h - 1, 8, 3);
+    }
+
+    // Trailer
+    ctx.fillStyle = '#bbb';
+    ctx.beginPath();
+    ctx.roundRect(x, y, trailerLength, h, 2);
+    ctx.fill();
+    ctx.strokeStyle = '#888';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    // Trailer ribs
+    ctx.strokeStyle = '#999';
+    for (let ribX = x + 12; ribX < x + trailerLength - 4; ribX += 12) {
+        ctx.beginPath();
+        ctx.moveTo(ribX, y + 2);
+        ctx.lineTo(ribX, y + h - 2);
+        ctx.stroke();
+    }
+
+    // Cab
+    const cabX = x + trailerLength + 2;
+    ctx.fillStyle = car.color;
+    ctx.beginPath();
+    ctx.roundRect(cabX, y + 1, cabLength, h - 2, 3);
+    ctx.fill();
+    ctx.strokeStyle = darkenColor(car.color, 0.2);
+    ctx.stroke();
+    // Windshield
+    ctx.fillStyle = '#87CEEB';
+    ctx.fillRect(cabX + cabLength - 9, y + 3, 4, h - 6);
+    // Headlights
+    ctx.fillStyle = '#ffffcc';
+    ctx.fillRect(cabX + cabLength - 2, y + 3, 2, 3);
+    ctx.fillRect(cabX + cabLength - 2, y + h - 6, 2, 3);
+
+    drawBlinkers(ctx, car, x, y, len, h);
+}
+
+/**
+ * Draw a bus: a long box in the car's color with a row of windows
+ * Bus faces RIGHT (toward +X / +laneX)
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Car} car - The bus to draw.
+ * @param {number} x - X position.
+ * @param {number} y - Y position.
+ */
+function drawBus(ctx, car, x, y) {
+    const len = getVehicleDrawLength(car);
+    const h = BUS_HEIGHT;
+
+    // Shadow
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.fillRect(x + 2, y + 2, len, h);
+
+    // Wheels
+    ctx.fillStyle = '#222';
+    for (let wheelX of [x + 10, x + len - 12]) {
+        ctx.fillRect(wheelX - 4, y - 2, 8, 3);
+        ctx.fillRect(wheelX - 4, y + h - 1, 8, 3);
+    }
+
+    // Body
+    ctx.fillStyle = car.color;
+    ctx.beginPath();
+    ctx.roundRect(x, y, len, h, 4);
+    ctx.fill();
+    ctx.strokeStyle = darkenColor(car.color, 0.2);
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    // Roof with windows along it
+    ctx.fillStyle = lightenColor(car.color, 0.15);
+    ctx.fillRect(x + 3, y + 3, len - 12, h - 6);
+    ctx.fillStyle = '#87CEEB';
+    for (let windowX = x + 5; windowX < x + len - 14; windowX += 8) {
+        ctx.fillRect(windowX, y + 4, 5, h - 8);
+    }
+    // Windshield
+    ctx.fillRect(x + len - 7, y + 2, 4, h - 4);
+    // Headlights
+    ctx.fillStyle = '#ffffcc';
+    ctx.fillRect(x + len - 2, y + 2, 2, 3);
+    ctx.fillRect(x + len - 2, y + h - 5, 2, 3);
+
+    drawBlinkers(ctx, car, x, y, len, h);
+}
+
+/**
+ * Draw a motorcycle with its rider seen from above
+ * Motorcycle faces RIGHT (toward +X / +laneX)
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {Car} car - The motorcycle to draw.
+ * @param {number} x - X position.
+ * @param {number} y - Y position.
+ */
+function drawMotorcycle(ctx, car, x, y) {
+    const len = MOTORCYCLE_LENGTH;
+    const h = MOTORCYCLE_HEIGHT;
+
+    // Shadow
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.beginPath();
+    ctx.ellipse(x + len / 2 + 2, y + h / 2 + 2, len / 2, h / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Tyres
+    ctx.fillStyle = '#222';
+    ctx.fillRect(x, y + 1, 6, h - 2);
+    ctx.fillRect(x + len - 6, y + 1, 6, h - 2);
+
+    // Frame and tank
+    ctx.fillStyle = car.color;
+    ctx.beginPath();
+    ctx.roundRect(x + 4, y, len - 8, h, 2);
+    ctx.fill();
+
+    // Handlebars
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x + len - 7, y - 3);
+    ctx.lineTo(x + len - 7, y + h + 3);
+    ctx.stroke();
+
+    // Rider's helmet
+    ctx.fillStyle = darkenColor(car.color, 0.3);
+    ctx.beginPath();
+    ctx.arc(x + len / 2 - 1, y + h / 2, 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Headlight
+    ctx.fillStyle = '#ffffcc';
+    ctx.fillRect(x + len - 1, y + 2, 2, h - 4);
+
+    drawBlinkers(ctx, car, x, y, len, h);
+}
+
+// Sprite drawing functions, by the sprite name in VEHICLE_CLASSES.
+const VEHICLE_SPRITES = {
+    car: drawCar,
+    truck: drawTruck,
+    bus: drawBus,
+    motorcycle: drawMotorcycle,
+};
+
+/**
+ * Gets how long a vehicle is drawn. A car is CAR_LENGTH, each extra space of a longer vehicle
+ * adds SPACE_WIDTH.
+ * @param {Car} car - The vehicle.
+ * @returns {number} length in pixels.
+ */
+function getVehicleDrawLength(car) {
+    if (car.vehicleClass.sprite === 'motorcycle') return MOTORCYCLE_LENGTH;
+    return CAR_LENGTH + (car.length - 1) * SPACE_WIDTH;
+}
+
+/**
+ * Gets how tall a vehicle is drawn.
+ * @param {Car} car - The vehicle.
+ * @returns {number} height in pixels.
+ */
+function getVehicleDrawHeight(car) {
+    switch (car.vehicleClass.sprite) {
+        case 'truck': return TRUCK_HEIGHT;
+        case 'bus': return BUS_HEIGHT;
+        case 'motorcycle': return MOTORCYCLE_HEIGHT;
+        default: return CAR_HEIGHT;
+    }
+}
+
 /**
  * Updates visual positions of all cars using lerping
  * @param {Road} road - The road containing cars to update.
  */
 function updateVisualPositions(road) {
     for (let car of road.cars) {
-        // Calculate target position (car length extends along X axis)
-        const targetX = car.lanePosX * SPACE_WIDTH - CAR_LENGTH / 2 + SPACE_WIDTH / 2;
+        // Calculate target position (car length extends along X axis), every vehicle's front
+        // sits where a car's would so longer ones stretch back over the spaces they cover
+        const frontX = car.lanePosX * SPACE_WIDTH + SPACE_WIDTH / 2 + CAR_LENGTH / 2;
+        const targetX = frontX - getVehicleDrawLength(car);
         const targetY = car.laneNumber * LANE_HEIGHT + LANE_PADDING +
-                       (LANE_HEIGHT - LANE_PADDING * 2 - CAR_HEIGHT) / 2;
+                       (LANE_HEIGHT - LANE_PADDING * 2 - getVehicleDrawHeight(car)) / 2;
 
         // Initialize visual position if first time
         if (!car.visualInitialized) {
@@ -219,6 +446,36 @@ function updateBlinker(currentTime) {
     }
 }
 
+/**
+ * Draws the painted island between an on-ramp and the mainline, up to where ramp cars may
+ * start merging.
+ * @param {OnRampRoad} road - Road to draw markings for.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ */
+function drawRampMarkings(road, ctx) {
+    const y = road.rampLane * LANE_HEIGHT;
+    const islandEnd = road.mergeStart * SPACE_WIDTH;
+
+    // Island body with chevron hatching
+    ctx.fillStyle = '#555';
+    ctx.fillRect(0, y - 3, islandEnd, 6);
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, y - 4);
+    ctx.lineTo(islandEnd, y - 4);
+    ctx.moveTo(0, y + 4);
+    ctx.lineTo(islandEnd, y + 4);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+    for (let x = 10; x < islandEnd; x += 20) {
+        ctx.beginPath();
+        ctx.moveTo(x - 4, y - 3);
+        ctx.lineTo(x, y + 3);
+        ctx.stroke();
+    }
+}
+
 /**
  * Renders the road and all cars on it.
  * @param {Road} road - Road object to render.
@@ -234,11 +491,19 @@ function renderRoad(road, ctx, canvas) {
     // Update visual positions with lerping
     updateVisualPositions(road);
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
     let roadSpace = road.roadSpace;
     let numLanes = roadSpace.length;
 
+    // Size the canvas to the road, roads can differ in length and lane count
+    const roadWidth = (roadSpace[0]?.length ?? 0) * SPACE_WIDTH;
+    const roadHeight = numLanes * LANE_HEIGHT;
+    if (canvas.width !== roadWidth || canvas.height !== roadHeight) {
+        canvas.width = roadWidth;
+        canvas.height = roadHeight;
+    }
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
     // Draw road background with gradient
     const roadGradient = ctx.createLinearGradient(0, 0, 0, numLanes * LANE_HEIGHT);
     roadGradient.addColorStop(0, '#444');
@@ -260,12 +525,20 @@ function renderRoad(road, ctx, canvas) {
     }
     ctx.setLineDash([]);
 
+    if (road instanceof OnRampRoad) {
+        drawRampMarkings(road, ctx);
+    }
+
     // Draw blockages
     for (let lane = 0; lane < numLanes; lane++) {
         let laneData = roadSpace[lane];
         for (let x = 0; x < laneData.length; x++) {
             let cell = laneData[x];
-            if (cell === 0) {
+            if (cell === 0 && road instanceof OnRampRoad && lane === road.rampLane) {
+                // The ramp lane has ended, draw it as grass rather than a closure
+                ctx.fillStyle = '#3b5e2b';
+                ctx.fillRect(x * SPACE_WIDTH, lane * LANE_HEIGHT, SPACE_WIDTH, LANE_HEIGHT);
+            } else if (cell === 0) {
                 // Blockage with stripes
                 let posX = x * SPACE_WIDTH;
                 let posY = lane * LANE_HEIGHT + LANE_PADDING;
@@ -288,8 +561,215 @@ function renderRoad(road, ctx, canvas) {
         }
     }
 
+    // Draw blockages waiting for a car to move off their space as outlines
+    ctx.strokeStyle = '#ff4444';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    for (let key of road.pendingBlockages ?? []) {
+        const [lane, x] = key.split(':').map(Number);
+        ctx.strokeRect(x * SPACE_WIDTH + 1, lane * LANE_HEIGHT + LANE_PADDING + 1,
+                       SPACE_WIDTH - 2, LANE_HEIGHT - LANE_PADDING * 2 - 2);
+    }
+    ctx.setLineDash([]);
+
     // Draw all cars using their lerped visual positions
     for (let car of road.cars) {
-        drawCar(ctx, car, car.visualX, car.visualY);
+        const drawVehicle = VEHICLE_SPRITES[car.vehicleClass.sprite] ?? drawCar;
+        drawVehicle(ctx, car, car.visualX, car.visualY);
+    }
+}
+
+/**
+ * Brings the car layer of a time-space diagram up to date and gets it. Each frame's cars are
+ * drawn onto it once, when the frame is new, and it scrolls left as old frames drop off, so
+ * drawing the diagram does not draw every car in every frame again.
+ * @param {TrajectoryRecorder} trajectory - Trajectory being drawn.
+ * @param {Object} plot - Where the diagram puts things:
+ * @param {number} plot.startTime - Simulated ms at the left edge of the plot.
+ * @param {number} plot.scale - Pixels per simulated ms.
+ * @param {number} plot.frameWidth - Width of a frame in pixels.
+ * @param {number} plot.spaceHeight - Height of a space in pixels.
+ * @param {function(number, number): number} plot.toY - Top of a space in pixels, by lane and laneX.
+ * @param {number} plot.width - Width of the layer in pixels.
+ * @param {number} plot.height - Height of the layer in pixels.
+ * @returns {{canvas: HTMLCanvasElement, originTime: number}} the layer, and the simulated ms at
+ * its left edge.
+ */
+function getTimeSpaceCarLayer(trajectory, plot) {
+    let layer = timeSpaceCarLayers.get(trajectory);
+    if (!layer || layer.scale !== plot.scale || layer.canvas.width !== plot.width ||
+        layer.canvas.height !== plot.height) {
+        const createCanvas = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = plot.width;
+            canvas.height = plot.height;
+            return canvas;
+        };
+        layer = {canvas: createCanvas(), spare: createCanvas(), scale: plot.scale,
+                 originTime: plot.startTime, drawnUntil: -Infinity};
+        timeSpaceCarLayers.set(trajectory, layer);
+    }
+
+    // Scroll by whole pixels, so cars already drawn stay sharp
+    const shift = Math.floor((plot.startTime - layer.originTime) * plot.scale);
+    if (shift > 0) {
+        const spareCtx = layer.spare.getContext('2d');
+        spareCtx.clearRect(0, 0, plot.width, plot.height);
+        spareCtx.drawImage(layer.canvas, -shift, 0);
+        [layer.canvas, layer.spare] = [layer.spare, layer.canvas];
+        layer.originTime += shift / plot.scale;
+    }
+
+    // Every car in every new frame, over the spaces it covers
+    const ctx = layer.canvas.getContext('2d');
+    for (let frame of trajectory.frames) {
+        if (frame.time <= layer.drawnUntil) continue;
+        const x = (frame.time - layer.originTime) * plot.scale;
+        for (let record of frame.cars) {
+            const length = trajectory.cars.get(record.id)?.length ?? 1;
+            const speedIndex = Math.round(Math.min(1, Math.max(0, record.speed / MAX_SPEED)) *
+                                          (TIME_SPACE_SPEED_COLORS.length - 1));
+            ctx.fillStyle = TIME_SPACE_SPEED_COLORS[speedIndex];
+            ctx.fillRect(x, plot.toY(record.lane, record.laneX), plot.frameWidth, plot.spaceHeight * length);
+        }
+        layer.drawnUntil = frame.time;
+    }
+    return layer;
+}
+
+/**
+ * Renders a time-space diagram of a road's recorded trajectory, see trajectory.js: for each
+ * lane, position along the road (up) against simulated time (right), each car colored by its
+ * speed, so jams show as red bands and shockwaves as their edges running back up the road.
+ * Blocked spaces are shaded and merges are marked with a white ring in the lane merged into.
+ * @param {Road} road - Road whose trajectory to draw.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {HTMLCanvasElement} canvas - The canvas element.
+ * @param {number|null} markTime - Simulated ms to draw a cursor at, e.g. the frame being
+ * replayed (default: none).
+ */
+function renderTimeSpace(road, ctx, canvas, markTime = null) {
+    const trajectory = road.trajectory;
+    const frames = trajectory.frames;
+    const numLanes = road.roadSpace.length;
+    const roadLength = road.length;
+
+    const width = TIME_SPACE_WIDTH;
+    const height = numLanes * (TIME_SPACE_LANE_HEIGHT + TIME_SPACE_LANE_GAP) + TIME_SPACE_MARGIN_BOTTOM;
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Time runs over as long as the trajectory keeps, filling from the left and scrolling
+    // once it is full
+    const plotWidth = width - TIME_SPACE_MARGIN_LEFT - TIME_SPACE_MARGIN_RIGHT;
+    const endTime = frames.length > 0 ? frames[frames.length - 1].time : 0;
+    const span = Math.max(trajectory.seconds * 1000, 1);
+    const startTime = Math.max(0, endTime - span);
+    const scale = plotWidth / span;
+    const toX = (time) => TIME_SPACE_MARGIN_LEFT + (time - startTime) * scale;
+    const bandTop = (lane) => lane * (TIME_SPACE_LANE_HEIGHT + TIME_SPACE_LANE_GAP);
+    const spaceHeight = TIME_SPACE_LANE_HEIGHT / roadLength;
+    // Top of a space, the end of the road is at the top of the band
+    const toY = (lane, laneX) => bandTop(lane) + TIME_SPACE_LANE_HEIGHT - (laneX + 1) * spaceHeight;
+    const frameWidth = Math.max(1, (frames.length > 1 ? frames[1].time - frames[0].time : 0) * scale);
+
+    // Lane bands and labels
+    ctx.font = '11px sans-serif';
+    for (let lane = 0; lane < numLanes; lane++) {
+        ctx.fillStyle = '#2a2a2a';
+        ctx.fillRect(TIME_SPACE_MARGIN_LEFT, bandTop(lane), plotWidth, TIME_SPACE_LANE_HEIGHT);
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`Lane ${lane + 1}`, TIME_SPACE_MARGIN_LEFT - 6, bandTop(lane));
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('0', TIME_SPACE_MARGIN_LEFT - 6, bandTop(lane) + TIME_SPACE_LANE_HEIGHT);
+    }
+
+    // Blockages, one rect per run of frames that share them
+    ctx.fillStyle = '#5a2a2a';
+    let runStart = 0;
+    for (let i = 1; i <= frames.length; i++) {
+        if (i < frames.length && frames[i].blockages === frames[runStart].blockages) continue;
+        const x = toX(frames[runStart].time);
+        const runWidth = toX(frames[i - 1].time) - x + frameWidth;
+        for (let key of frames[runStart].blockages) {
+            const [lane, laneX] = key.split(':').map(Number);
+            ctx.fillRect(x, toY(lane, laneX), runWidth, spaceHeight);
+        }
+        runStart = i;
     }
+
+    // Cars, kept drawn between calls, over the plot only
+    const layer = getTimeSpaceCarLayer(trajectory, {
+        startTime: startTime, scale: scale, frameWidth: frameWidth, spaceHeight: spaceHeight, toY: toY,
+        width: plotWidth + Math.ceil(frameWidth), height: height - TIME_SPACE_MARGIN_BOTTOM,
+    });
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(TIME_SPACE_MARGIN_LEFT, 0, width - TIME_SPACE_MARGIN_LEFT, height);
+    ctx.clip();
+    ctx.drawImage(layer.canvas, toX(layer.originTime), 0);
+    ctx.restore();
+
+    // Merges, where the car's lane changed
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1.5;
+    for (let merge of road.traffic.merges) {
+        if (merge.time < startTime || merge.time > endTime) continue;
+        ctx.beginPath();
+        ctx.arc(toX(merge.time), toY(merge.lane, merge.laneX) + spaceHeight / 2, 3, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    // Time axis
+    ctx.fillStyle = '#888';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${(startTime / 1000).toFixed(0)} s`, TIME_SPACE_MARGIN_LEFT, height - 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${((startTime + span) / 1000).toFixed(0)} s`,
+                 TIME_SPACE_MARGIN_LEFT + plotWidth, height - 4);
+
+    if (markTime !== null) {
+        ctx.strokeStyle = '#ffaa00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(toX(markTime), 0);
+        ctx.lineTo(toX(markTime), height - TIME_SPACE_MARGIN_BOTTOM);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Draws a small bar chart of how values are spread over equal width buckets, the last bucket
+ * also holds everything above it.
+ * @param {number[]} values - Values to count.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {HTMLCanvasElement} canvas - The canvas element.
+ * @param {number} bucketWidth - Width of each bucket, in the units of the values.
+ * @param {number} bucketCount - Number of buckets.
+ */
+function renderHistogram(values, ctx, canvas, bucketWidth, bucketCount) {
+    const counts = new Array(bucketCount).fill(0);
+    for (let value of values) {
+        counts[Math.min(bucketCount - 1, Math.max(0, Math.floor(value / bucketWidth)))]++;
+    }
+    const maxCount = Math.max(1, ...counts);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#333';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const barWidth = canvas.width / bucketCount;
+    ctx.fillStyle = '#2ecc71';
+    counts.forEach((count, i) => {
+        const height = (count / maxCount) * (canvas.height - 2);
+        ctx.fillRect(i * barWidth + 1, canvas.height - height, barWidth - 2, height);
+    });
 }
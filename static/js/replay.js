@@ -0,0 +1,165 @@
+/**
+ * Replays the trajectory a simulation's road recorded, see trajectory.js. Entering a replay
+ * pauses the simulation, and recorded frames are drawn with renderRoad so they look just like
+ * the live road, or in the time-space view as a cursor over the diagram. Frames can be played,
+ * stepped through one at a time or scrubbed to.
+ */
+class TrajectoryReplay {
+    simulation = null;
+    // Road and frames being replayed, fixed when the replay starts
+    road = null;
+    frames = [];
+    index = 0;
+    active = false;
+    playing = false;
+    playIntervalId = null;
+    // Whether the simulation was running before the replay, so leaving it resumes it
+    wasRunning = false;
+    // Called after every frame drawn, with the replay
+    onChange = null;
+
+    /**
+     * Creates a replay for a simulation.
+     * @param {Simulation} simulation - Simulation to replay.
+     * @param {function(TrajectoryReplay)} onChange - Called whenever the frame shown changes
+     * (default: none).
+     */
+    constructor(simulation, onChange = null) {
+        this.simulation = simulation;
+        this.onChange = onChange;
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Pauses the simulation and shows the latest recorded frame.
+     */
+    enter() {
+        if (this.active) return;
+        this.wasRunning = this.simulation.running;
+        this.simulation.stop();
+        this.road = this.simulation.road;
+        this.frames = this.road.trajectory.frames.slice();
+        this.active = true;
+        this.seek(this.frames.length - 1);
+    }
+
+    /**
+     * Leaves the replay, resuming the simulation if it was running.
+     */
+    exit() {
+        if (!this.active) return;
+        this.pause();
+        this.active = false;
+        this.road = null;
+        this.frames = [];
+        if (this.wasRunning) {
+            this.simulation.start();
+        }
+        this.onChange?.(this);
+    }
+
+    /**
+     * Shows a frame.
+     * @param {number} index - Frame to show, clamped to the recorded ones.
+     */
+    seek(index) {
+        if (!this.active) return;
+        this.index = Math.max(0, Math.min(this.frames.length - 1, index));
+        this.render();
+    }
+
+    /**
+     * Moves a number of frames forwards or backwards.
+     * @param {number} frames - Frames to move, negative to rewind.
+     */
+    step(frames) {
+        this.seek(this.index + frames);
+    }
+
+    /**
+     * Plays frames at the pace they were recorded, scaled like the live simulation.
+     */
+    play() {
+        if (!this.active || this.playing) return;
+        if (this.index >= this.frames.length - 1) this.index = 0;
+        this.playing = true;
+        this.playIntervalId = setInterval(this.tick,
+                                          this.simulation.simulationUpdateInterval / this.simulation.timeScale);
+        this.render();
+    }
+
+    /**
+     * Stops playing, staying on the current frame.
+     */
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        clearInterval(this.playIntervalId);
+        this.playIntervalId = null;
+        this.onChange?.(this);
+    }
+
+    /**
+     * Advances one frame while playing, stopping at the last one.
+     */
+    tick() {
+        if (this.index >= this.frames.length - 1) {
+            this.pause();
+            return;
+        }
+        this.step(1);
+    }
+
+    /**
+     * Gets the frame shown.
+     * @returns {Object|null} see TrajectoryRecorder.frames.
+     */
+    getFrame() {
+        return this.active ? this.frames[this.index] ?? null : null;
+    }
+
+    /**
+     * Draws the current frame on the simulation's canvas.
+     */
+    render() {
+        const frame = this.getFrame();
+        const simulation = this.simulation;
+        if (frame && simulation.ctx) {
+            if (simulation.view === RoadView.TimeSpace) {
+                renderTimeSpace(this.road, simulation.ctx, simulation.canvas, frame.time);
+            } else {
+                renderRoad(this.getFrameRoad(frame), simulation.ctx, simulation.canvas);
+            }
+        }
+        this.onChange?.(this);
+    }
+
+    /**
+     * Builds a stand-in for the road as it was in a frame, for renderRoad. It shares everything
+     * else, such as the geometry, with the real road.
+     * @param {Object} frame - Frame to build, see TrajectoryRecorder.frames.
+     * @returns {Road}
+     */
+    getFrameRoad(frame) {
+        const view = Object.create(this.road);
+        view.roadSpace = this.road.roadSpace.map(laneData => new Array(laneData.length).fill(null));
+        for (let key of frame.blockages) {
+            const [lane, laneX] = key.split(':').map(Number);
+            view.roadSpace[lane][laneX] = 0;
+        }
+        view.pendingBlockages = new Set();
+
+        // Cars drawn where they were, without easing in from where the last frame had them
+        const trajectory = this.road.trajectory;
+        view.cars = frame.cars.map(record => Object.assign(Object.create(Car.prototype), {
+            ...trajectory.cars.get(record.id),
+            id: record.id,
+            laneNumber: record.lane,
+            lanePosX: record.laneX,
+            speed: record.speed,
+            state: record.state,
+            indicator: record.indicator,
+        }));
+        return view;
+    }
+}
@@ -3,12 +3,28 @@
  * some AI enhancements.
  */
 
-// Absolute number of spaces
+// Default absolute number of spaces
 const ROAD_WIDTH = 50;
-// 0 index based (last 10 spaces: 40-49)
+// Default closure start, 0 index based (last 10 spaces: 40-49)
 const BLOCK_START = 40;
 // How long are trails of cars saved.
 const CAR_TRAIL_LIFESPAN = 10000;
+// Braking cars coming up to the road behind slower traffic can still manage before they get on,
+// in feet per second squared, and how long they take to react, in seconds.
+const ENTRY_BRAKING = 10;
+const ENTRY_REACTION_TIME = 1;
+// Hardest a car changing lanes, or the car it cuts in front of, may have to brake to keep off
+// the vehicle ahead of it, in feet per second squared (about 0.6 g).
+const MERGE_BRAKING = 20;
+
+// What happened when a car was moved, see Road.setCarPos.
+const MoveResult = {
+    Moved: 0,
+    // The space was taken, by a car, a blockage or the edge of the road.
+    Collision: -1,
+    // The car drove off the end of the road.
+    Exited: 1,
+}
 
 /**
  * Creates a road with space represented as an array. NULL = open drivable space,
@@ -18,68 +34,348 @@ class Road {
     roadSpace = [];
     cars = [];
     blockedLanes = 0;
+    // Lane indices closed by the blockage, 0 = leftmost lane.
+    closedLanes = [];
+    // Geometry in spaces: road length, and where the closure starts and how long it is.
+    length = ROAD_WIDTH;
+    closureStart = BLOCK_START;
+    closureLength = ROAD_WIDTH - BLOCK_START;
+    // Whether drivers slow down to look at the closure as they pass it.
+    rubberneck = true;
+    // Blockages placed under a car, as "lane:laneX" keys. They appear once the car moves off.
+    pendingBlockages = new Set();
     trails = [];
     // Track completed car data for fairness calculation: {startLane, travelTime, expirationTime}
     completedCars = [];
+    // Every trip finished on this road, kept for the whole run (see recordTrip).
+    trips = [];
+    // Every collision on this road, kept for the whole run (see recordCollision).
+    collisions = [];
+    // Time-to-collision, hard braking and merge gaps, see safetyMetrics.js.
+    safety = new SafetyMetrics();
+    // Queues, density, speed and merge locations, see trafficMetrics.js.
+    traffic = new TrafficMetrics();
+    // The last stretch of the run, frame by frame, see trajectory.js.
+    trajectory = null;
+    // Whether cars may never run into anything. The driving rules already stop cars short of
+    // what is ahead, so in strict mode a collision is a bug in a model: it gets flagged and the
+    // car stays where it was instead of crashing.
+    strictCollisions = false;
+    // Share of arriving cars for each lane, indexed by lane, null to spread them evenly.
+    laneSplit = null;
+    // Cars that arrived while there was no room at the entrance, oldest first: {car, lane},
+    // lane is undefined for any open entry lane.
+    entryQueue = [];
+    maxQueueLength = 0;
+    // Cars that have arrived at the road, whether they got on yet or not.
+    arrivals = 0;
+    nextCarId = 1;
 
     /**
      * Creates a road.
      * @param lanes number of lanes to create.
-     * @param blockedLanes number of lanes blocked
+     * @param blockedLanes number of lanes blocked, counted from the rightmost lane.
+     * @param spaceSize size of each space in feet.
+     * @param options optional settings:
+     *  clock - simulated clock to read time from, a new one is made if not given.
+     *  random - generator for lane choice, defaults to Math.random.
+     *  length - road length in spaces (default ROAD_WIDTH).
+     *  closureStart - space the closure starts at (default BLOCK_START).
+     *  closureLength - spaces the closure runs for (default to the end of the road).
+     *  closedLanes - lane indices to close, in place of blockedLanes (e.g. [0] closes the
+     *  left lane, [1] the middle lane of three).
+     *  strictCollisions - flag collisions as model bugs instead of crashing (default false).
+     *  laneSplit - share of arriving cars for each lane, e.g. [0.7, 0.3] (default even).
+     *  trajectorySeconds - simulated seconds of trajectory to keep (default
+     *  DEFAULT_TRAJECTORY_SECONDS), 0 to record none.
      */
-    constructor(lanes, blockedLanes, spaceSize) {
-        if (lanes < 2 || blockedLanes >= lanes) return
+    constructor(lanes, blockedLanes, spaceSize, options = {}) {
+        this.clock = options.clock instanceof SimulationClock ? options.clock : new SimulationClock();
+        this.random = options.random ?? Math.random;
+        this.strictCollisions = options.strictCollisions ?? false;
+        this.laneSplit = options.laneSplit ?? null;
+        this.trajectory = new TrajectoryRecorder(options.trajectorySeconds ?? DEFAULT_TRAJECTORY_SECONDS);
+        let lanesToBlock = Array.isArray(options.closedLanes) ? options.closedLanes : blockedLanes;
+        let blockedCount = Array.isArray(lanesToBlock) ? lanesToBlock.length : lanesToBlock;
+        if (lanes < 2 || blockedCount >= lanes) return
+
+        this.length = Math.max(2, Math.round(options.length ?? ROAD_WIDTH));
+        // Keep at least one open space before the closure so cars can enter
+        this.closureStart = Math.min(this.length - 1,
+                                     Math.max(1, Math.round(options.closureStart ?? BLOCK_START)));
+        let maxClosureLength = this.length - this.closureStart;
+        this.closureLength = Math.min(maxClosureLength,
+                                      Math.max(1, Math.round(options.closureLength ?? maxClosureLength)));
 
         this.roadSpace = new Array(lanes);
         for (let i = 0; i < lanes; i++) {
-            this.roadSpace[i] = new Array(ROAD_WIDTH).fill(null);
+            this.roadSpace[i] = new Array(this.length).fill(null);
         }
 
         // Feet.
         this.spaceSize = spaceSize;
-        this.placeBlockage(blockedLanes);
-        // Bind purgeTrails to preserve 'this' context
-        this.purgeTrails = this.purgeTrails.bind(this);
-        setInterval(this.purgeTrails, 1000);
+        this.placeBlockage(lanesToBlock);
+    }
+
+    /**
+     * Gets the current simulated time of this road.
+     * @returns {number} milliseconds since the simulation started.
+     */
+    getTime() {
+        return this.clock.getTime();
     }
 
     /**
      * Places a blockage on the road.
-     * @param lanesToBlock number of lanes to block.
+     * @param lanesToBlock number of lanes to block from the rightmost lane, or a list of lane
+     * indices to block.
      */
     placeBlockage(lanesToBlock) {
-        if (this.roadSpace.length <= lanesToBlock) return;
         let numLanes = this.roadSpace.length;
-        for (let i = 0; i < lanesToBlock; i++) {
+        let laneIndices = lanesToBlock;
+        if (!Array.isArray(laneIndices)) {
             // Block from the rightmost lane (highest index)
-            let lane = this.roadSpace[numLanes - 1 - i];
-            if (Array.isArray(lane) && lane.length >= BLOCK_START) {
-                for (let j = BLOCK_START; j < lane.length; j++) {
+            laneIndices = [];
+            for (let i = 0; i < lanesToBlock; i++) {
+                laneIndices.push(numLanes - 1 - i);
+            }
+        }
+        laneIndices = [...new Set(laneIndices)].filter(i => i >= 0 && i < numLanes);
+        if (numLanes <= laneIndices.length) return;
+
+        for (let i of laneIndices) {
+            let lane = this.roadSpace[i];
+            if (Array.isArray(lane) && lane.length >= this.closureStart) {
+                let closureEnd = Math.min(lane.length, this.closureStart + this.closureLength);
+                for (let j = this.closureStart; j < closureEnd; j++) {
                     lane[j] = 0;
                 }
             }
         }
-        this.blockedLanes = lanesToBlock;
+        this.closedLanes = laneIndices.sort((a, b) => a - b);
+        this.blockedLanes = this.closedLanes.length;
+    }
+
+    /**
+     * Places or removes a single blockage space while the road is running. A blockage placed
+     * under a car waits until that car has moved off the space.
+     * @param lane of the space.
+     * @param laneX position of the space in the lane.
+     * @param blocked true to block the space, false to open it.
+     * @returns {boolean} true if the space was changed or is waiting to be blocked.
+     */
+    setBlockage(lane, laneX, blocked) {
+        let laneData = this.roadSpace[lane];
+        if (!Array.isArray(laneData) || laneX < 0 || laneX >= laneData.length) return false;
+
+        let key = `${lane}:${laneX}`;
+        if (blocked) {
+            if (laneData[laneX] instanceof Car) {
+                this.pendingBlockages.add(key);
+            } else {
+                laneData[laneX] = 0;
+            }
+        } else {
+            this.pendingBlockages.delete(key);
+            if (laneData[laneX] === 0) {
+                laneData[laneX] = null;
+            }
+        }
+
+        this.closedLanes = this.roadSpace.map((l, i) => i).filter(i => this.isLaneClosed(i));
+        this.blockedLanes = this.closedLanes.length;
+        return true;
+    }
+
+    /**
+     * Checks if a space is blocked, or waiting to be blocked once a car moves off it.
+     * @param lane of the space.
+     * @param laneX position of the space in the lane.
+     * @returns {boolean}
+     */
+    isBlocked(lane, laneX) {
+        let laneData = this.roadSpace[lane];
+        if (!Array.isArray(laneData)) return false;
+        return laneData[laneX] === 0 || this.pendingBlockages.has(`${lane}:${laneX}`);
+    }
+
+    /**
+     * Empties a space a car has left, placing any blockage that was waiting for it.
+     * @param lane of the space.
+     * @param laneX position of the space in the lane.
+     */
+    clearSpace(lane, laneX) {
+        let key = `${lane}:${laneX}`;
+        if (this.pendingBlockages.delete(key)) {
+            this.roadSpace[lane][laneX] = 0;
+        } else {
+            this.roadSpace[lane][laneX] = null;
+        }
+    }
+
+    /**
+     * Checks if a lane has a blockage anywhere along it.
+     * @param lane to check.
+     * @returns {boolean}
+     */
+    isLaneClosed(lane) {
+        let laneData = this.roadSpace[lane];
+        return Array.isArray(laneData) && laneData.includes(0);
+    }
+
+    /**
+     * Gets which way a car should merge to get around the blockage ahead of it: towards the
+     * nearest lane that is open where the blockage starts.
+     * @param lane the car is in.
+     * @param laneX position of the car in the lane.
+     * @param preferred direction to keep when both sides are as near (-1 left, 1 right).
+     * @returns {number} -1 to merge left, 1 to merge right, 0 if there is nowhere to go.
+     */
+    getMergeDirection(lane, laneX, preferred = 0) {
+        let distance = getDistance(this, lane, laneX, SpaceType.Blockage);
+        if (distance < 0 || laneX + distance + 1 >= this.length) return 0;
+        let blockX = laneX + distance + 1;
+
+        let numLanes = this.roadSpace.length;
+        for (let offset = 1; offset < numLanes; offset++) {
+            let leftOpen = lane - offset >= 0 && this.roadSpace[lane - offset][blockX] !== 0;
+            let rightOpen = lane + offset < numLanes && this.roadSpace[lane + offset][blockX] !== 0;
+
+            if (leftOpen && rightOpen) {
+                // Both sides are as near: stick with a side once picked, otherwise go
+                // where there is more room right now
+                if (preferred !== 0) return preferred;
+                let left = getSideOpenSpaces(this, lane, laneX, -1);
+                let right = getSideOpenSpaces(this, lane, laneX, 1);
+                return countOpenSpaces(right) > countOpenSpaces(left) ? 1 : -1;
+            } else if (leftOpen) {
+                return -1;
+            } else if (rightOpen) {
+                return 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Gets how many closed lanes have to merge through a lane for a perfect zip merge. Each
+     * closed lane merges towards its nearest open lane, a tie counts half to each side.
+     * @param lane to get the count for.
+     * @returns {number}
+     */
+    getMergingLaneCount(lane) {
+        let numLanes = this.roadSpace.length;
+        let count = 0;
+        for (let closed = 0; closed < numLanes; closed++) {
+            if (closed === lane || !this.isLaneClosed(closed)) continue;
+
+            let leftOpen = -1;
+            let rightOpen = -1;
+            for (let i = closed - 1; i >= 0 && leftOpen < 0; i--) {
+                if (!this.isLaneClosed(i)) leftOpen = i;
+            }
+            for (let i = closed + 1; i < numLanes && rightOpen < 0; i++) {
+                if (!this.isLaneClosed(i)) rightOpen = i;
+            }
+
+            let leftDistance = leftOpen >= 0 ? closed - leftOpen : Infinity;
+            let rightDistance = rightOpen >= 0 ? rightOpen - closed : Infinity;
+            let passesLeft = lane < closed && lane >= leftOpen && leftOpen >= 0;
+            let passesRight = lane > closed && lane <= rightOpen;
+
+            if (leftDistance === rightDistance) {
+                if (passesLeft || passesRight) count += 0.5;
+            } else if (leftDistance < rightDistance) {
+                if (passesLeft) count += 1;
+            } else if (passesRight) {
+                count += 1;
+            }
+        }
+        return count;
     }
 
     /**
      * Adds a car to the road.
      * @param car to add to road.
+     * @param lane to add the car in, a random open entry lane if not given.
+     * @returns {boolean} true if the car was added.
      */
-    addCar(car) {
-        if (!(car instanceof Car)) return;
-        let lane = this.getRandomLane();
-        if (lane < 0) return;
+    addCar(car, lane = this.getRandomLane()) {
+        if (!(car instanceof Car)) return false;
+        if (lane < 0) return false;
 
         let laneArray = this.roadSpace[lane]
-        if (laneArray instanceof Array) {
-            laneArray[0] = car;
+        if (laneArray instanceof Array && laneArray[0] == null) {
+            // Long vehicles enter front first, the rest of them comes onto the road as they move
+            car.id = this.nextCarId++;
             this.cars.push(car);
             car.setLanePos(lane, 0);
-            // Record start time for fairness calculation
-            car.startTime = new Date().getTime();
+            this.fillCarSpaces(car);
+            // Cars coming up behind slower traffic have slowed for it before they get on, so
+            // they can still react and brake down to its speed in the room there is
+            let spaces = car.getActualDistance(this);
+            if (spaces >= 0 && spaces < 100) {
+                let ahead = getLeaderGap(car, this, spaces);
+                let closing = ENTRY_BRAKING * (Math.sqrt(ENTRY_REACTION_TIME * ENTRY_REACTION_TIME +
+                    2 * ahead.gap / ENTRY_BRAKING) - ENTRY_REACTION_TIME);
+                car.speed = Math.min(car.speed, ahead.speed + closing);
+            }
+            // Record start time for fairness calculation, counting any wait to get on
+            car.entryTime = this.getTime();
+            car.startTime = car.arrivalTime ?? car.entryTime;
             car.startLane = lane;
+            return true;
         }
+        return false;
+    }
+
+    /**
+     * Adds a car that has just arrived, or queues it up before the road if there is no room.
+     * Cars get on in the order they arrived, so it queues behind any car already waiting for
+     * the same entrance.
+     * @param car that arrived.
+     * @param lane the car has to enter in, any open entry lane if not given.
+     * @returns {boolean} true if the car got on the road straight away.
+     */
+    queueCar(car, lane) {
+        if (!(car instanceof Car)) return false;
+        car.arrivalTime = this.getTime();
+        this.arrivals++;
+        if (!this.entryQueue.some(entry => entry.lane === lane) && this.addCar(car, lane)) {
+            return true;
+        }
+        this.entryQueue.push({car: car, lane: lane});
+        this.maxQueueLength = Math.max(this.maxQueueLength, this.entryQueue.length);
+        return false;
+    }
+
+    /**
+     * Lets waiting cars onto the road while there is room at their entrance.
+     */
+    releaseQueue() {
+        let full = new Set();
+        this.entryQueue = this.entryQueue.filter(entry => {
+            if (full.has(entry.lane)) return true;
+            if (this.addCar(entry.car, entry.lane)) return false;
+            full.add(entry.lane);
+            return true;
+        });
+    }
+
+    /**
+     * Gets how many cars are waiting to get on the road.
+     * @returns {number}
+     */
+    getQueueLength() {
+        return this.entryQueue.length;
+    }
+
+    /**
+     * Gets the share of cars that have arrived but are still waiting to get on the road.
+     * @returns {number} between 0 and 1.
+     */
+    getUnservedDemand() {
+        return this.arrivals > 0 ? this.entryQueue.length / this.arrivals : 0;
     }
 
     /**
@@ -90,13 +386,31 @@ class Road {
     }
 
     /**
-     * Gets a random lane. 0 Index based.
+     * Gets the lanes cars can enter the road in.
+     * @returns {number[]} lane indices.
+     */
+    getEntryLanes() {
+        return this.roadSpace.map((lane, i) => i);
+    }
+
+    /**
+     * Checks if a car may change lanes at a point, e.g. not across a painted island.
+     * @param lane the car is in.
+     * @param laneX position of the car in the lane.
+     * @param targetLane lane the car wants to move into.
+     * @returns {boolean}
+     */
+    canChangeLane(lane, laneX, targetLane) {
+        return targetLane >= 0 && targetLane < this.roadSpace.length;
+    }
+
+    /**
+     * Gets a random open entry lane, weighted by laneSplit if there is one. 0 Index based.
      * @returns {number} -1 if no open lanes.
      */
     getRandomLane() {
         let openLanes = [];
-        let laneCount = this.roadSpace.length;
-        for (let i = 0; i < laneCount; i++) {
+        for (let i of this.getEntryLanes()) {
             let target = this.roadSpace[i];
             if (target instanceof Array && target[0] == null) {
                 openLanes.push(i);
@@ -104,22 +418,43 @@ class Road {
         }
         let openLanesN = openLanes.length;
         if (openLanesN <= 0) return -1;
-        return openLanes[Math.floor(Math.random() * openLanesN)];
+        if (this.laneSplit === null) {
+            return openLanes[Math.floor(this.random() * openLanesN)];
+        }
+
+        // Cars that would have gone to a full lane spread over the open ones by their shares
+        let weights = openLanes.map(i => this.laneSplit[i] ?? 0);
+        let total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) return -1;
+        let draw = this.random() * total;
+        for (let i = 0; i < openLanesN; i++) {
+            draw -= weights[i];
+            if (draw < 0) return openLanes[i];
+        }
+        return openLanes[openLanesN - 1];
     }
 
     /**
-     * Merge a car to the left.
+     * Merge a car one lane over, in the direction it is merging (left = lower index).
      * @param car to merge
      */
     merge(car) {
         if (!(car instanceof Car)) return;
         let currentLane = car.getLaneN();
         let currentLaneX = car.getLaneX();
-
-        // Check if there's a lane to merge into (left = lower index)
-        if (currentLane - 1 < 0) return;
-        let mergeSpace = this.roadSpace[currentLane - 1][currentLaneX];
-        if (mergeSpace == null) this.setCarPos(car, currentLane - 1, currentLaneX);
+        let direction = car.getMergeDirection();
+
+        // Check if there's a lane to merge into
+        let targetLane = currentLane + direction;
+        if (direction === 0 || !this.canChangeLane(currentLane, currentLaneX, targetLane)) return;
+        if (this.isFootprintFree(car, targetLane, currentLaneX) && this.fitsBetween(car, targetLane)) {
+            this.safety.recordMergeGap(car, this, targetLane);
+            this.traffic.recordMerge(car, this, targetLane);
+            if (this.setCarPos(car, targetLane, currentLaneX) === MoveResult.Moved) {
+                car.merges++;
+                if (car.mergeLaneX === null) car.mergeLaneX = currentLaneX;
+            }
+        }
     }
 
     /**
@@ -141,22 +476,35 @@ class Road {
         });
 
         // Remove any cars marked for destruction.
-        const currentTime = new Date().getTime();
+        const currentTime = this.getTime();
         toRemove.sort((a, b) => b - a).forEach((item) => {
             let car = this.cars[item];
             if (car instanceof Car) {
-                this.roadSpace[car.getLaneN()][car.getLaneX()] = null;
+                this.clearCarSpaces(car);
+                this.safety.removeCar(car);
+                // Crashed cars leave the road but never finish their trip
+                if (car.crashed) {
+                    this.cars.splice(item, 1);
+                    return;
+                }
                 this.trails.push(currentTime + CAR_TRAIL_LIFESPAN);
-                if (car.startTime) {
+                if (car.startTime !== null) {
                     this.completedCars.push({
                         startLane: car.startLane,
                         travelTime: currentTime - car.startTime,
                         expirationTime: currentTime + CAR_TRAIL_LIFESPAN
                     });
+                    this.recordTrip(car, currentTime);
                 }
             }
             this.cars.splice(item, 1);
         });
+
+        this.releaseQueue();
+        this.safety.sampleTTC(this);
+        this.traffic.sample(this);
+        this.trajectory.record(this);
+        this.purgeTrails();
     }
 
     /**
@@ -169,6 +517,7 @@ class Road {
 
             let index = this.cars.indexOf(car);
             car.drive(this);
+            this.safety.checkBraking(car, this);
 
             let desiredLaneX = Math.floor(car.getDistance() / this.getSpaceSize()) - 1;
             if (desiredLaneX < 0) desiredLaneX = 0;
@@ -176,26 +525,126 @@ class Road {
             if (desiredLaneX != car.getLaneX()) {
                 // Limit movement to available space ahead
                 let availableSpace = getDistance(this, car.getLaneN(), car.getLaneX(), SpaceType.All);
-                if (availableSpace < 0) availableSpace = ROAD_WIDTH;
+                if (availableSpace < 0) availableSpace = this.length;
 
                 let maxLaneX = car.getLaneX() + availableSpace;
                 let safeLaneX = Math.min(desiredLaneX, maxLaneX);
 
                 if (safeLaneX != car.getLaneX()) {
                     let result = this.setCarPos(car, car.getLaneN(), safeLaneX);
-                    if (result === -1) {
+                    if (result === MoveResult.Exited) {
+                        toRemove.push(index);
+                    } else if (result === MoveResult.Collision && !this.strictCollisions) {
+                        car.crashed = true;
                         toRemove.push(index);
                     }
                 }
+
+                // Held up by a blockage or a vehicle: don't let distance build up behind it, or
+                // the car would jump ahead when it is gone and gaps to it would not add up
+                if (safeLaneX < desiredLaneX) {
+                    car.distance = (safeLaneX + 2) * this.getSpaceSize();
+                }
             }
     }
 
+    /**
+     * Records a finished trip. Unlike completedCars these are never purged.
+     * @param car that left the road.
+     * @param endTime simulated ms the car left at.
+     */
+    recordTrip(car, endTime) {
+        this.trips.push({
+            id: car.id,
+            startLane: car.startLane,
+            startTime: car.startTime,
+            entryTime: car.entryTime,
+            endTime: endTime,
+            exitLane: car.getLaneN(),
+            travelTime: endTime - car.startTime,
+            queueTime: car.entryTime - car.startTime,
+            delay: endTime - car.startTime - this.getFreeFlowTime(car),
+            merges: car.merges,
+            mergePosition: car.mergeLaneX,
+            mergeTendency: car.mergeTendency,
+            cooperation: car.cooperation,
+            aggressiveness: car.aggressiveness,
+            followingDistance: car.followingDistance,
+            behavior: car.behavior?.name ?? DriverBehavior.Default,
+            vehicleClass: car.vehicleClass.label,
+            carsLetIn: car.getCarsLetIn()
+        });
+    }
+
+    /**
+     * Records a collision. Unlike completedCars these are never purged.
+     * @param car that ran into something.
+     * @param lane the car was moving into.
+     * @param laneX position of the car's front it was moving to.
+     * @returns {Object} the collision.
+     */
+    recordCollision(car, lane, laneX) {
+        let laneData = this.roadSpace[lane];
+        let hit = null;
+        let obstacle = 'edge';
+        if (Array.isArray(laneData)) {
+            for (let x = Math.max(0, laneX - car.length + 1); x <= laneX && hit === null; x++) {
+                if (laneData[x] instanceof Car && laneData[x] !== car) {
+                    hit = laneData[x];
+                    obstacle = 'car';
+                } else if (laneData[x] === 0) {
+                    obstacle = 'blockage';
+                }
+            }
+        }
+        let collision = {
+            time: this.getTime(),
+            lane: lane,
+            laneX: laneX,
+            obstacle: obstacle,
+            cars: hit === null ? [car.id] : [car.id, hit.id],
+            speeds: hit === null ? [car.speed] : [car.speed, hit.speed],
+            modelBug: this.strictCollisions
+        };
+        this.collisions.push(collision);
+        if (this.strictCollisions) {
+            console.error('Collision in strict mode, a model moved a car into a taken space:', collision);
+        }
+        return collision;
+    }
+
+    /**
+     * Gets how many collisions there have been on this road.
+     * @returns {number}
+     */
+    getCollisionCount() {
+        return this.collisions.length;
+    }
+
+    /**
+     * Gets how long a car would take to drive the road with nothing in its way.
+     * @param car to time.
+     * @returns {number} simulated ms.
+     */
+    getFreeFlowTime(car) {
+        return this.length * this.getSpaceSize() / car.maxSpeed * 1000;
+    }
+
+    /**
+     * Gets how much longer than free flow finished trips took, on average over the run.
+     * @returns {number} simulated ms.
+     */
+    getAverageDelay() {
+        if (this.trips.length === 0) return 0;
+        return this.trips.reduce((sum, trip) => sum + trip.delay, 0) / this.trips.length;
+    }
+
     /**
      * Purge car trails after they have expired.
      * Trails store expiration timestamps - remove ones where current time has passed the expiration.
      */
     purgeTrails() {
-        const currentTime = new Date().getTime();
+        const currentTime = this.getTime();
         // Keep only trails that haven't expired yet (expiration time > current time)
         this.trails = this.trails.filter(expirationTime => expirationTime > currentTime);
         // Also purge expired completed car data
@@ -217,33 +666,19 @@ class Road {
      * 1 = perfectly fair (all cars take the same time)
      * 0 = completely unfair (high variance in travel times)
      * Uses coefficient of variation (CV) to normalize: fairness = 1 / (1 + CV)
+     * @param metric FairnessMetric to score with instead, see fairness.js for what each means.
      * @returns {number}
      */
-    getFairness() {
-        if (this.completedCars.length < 2) {
-            return 1;
-        }
-
-        const times = this.completedCars.map(car => car.travelTime);
-
-        // Calculate mean
-        const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
-
-        if (mean === 0) {
-            return 1;
-        }
-
-        // Calculate variance
-        const squaredDiffs = times.map(t => Math.pow(t - mean, 2));
-        const variance = squaredDiffs.reduce((sum, d) => sum + d, 0) / times.length;
-
-        // Calculate standard deviation
-        const stdDev = Math.sqrt(variance);
-
-        // Coefficient of variation (normalized measure of dispersion)
-        const cv = stdDev / mean;
+    getFairness(metric = FairnessMetric.CV) {
+        return getFairnessMetric(metric).compute(this.completedCars.map(car => car.travelTime));
+    }
 
-        return 1 / (1 + cv);
+    /**
+     * Compares travel times of recently finished cars by the lane they started in.
+     * @returns {Object} see getLaneEquity in fairness.js.
+     */
+    getLaneEquity() {
+        return getLaneEquity(this.completedCars, this.roadSpace.length, this.closedLanes);
     }
 
     /**
@@ -251,32 +686,113 @@ class Road {
      * @param car to set position of.
      * @param lane to set positon to.
      * @param laneX position within the lane to change to.
-     * @returns {number} -1 if collision occurs, 0 if success.
+     * @returns {number} a MoveResult. The car is not moved on a collision, it is up to the
+     * caller to take it off the road.
      */
     setCarPos(car, lane, laneX) {
         if (!(car instanceof Car)) return;
 
         let numberOfLanes = this.roadSpace.length;
 
-        if (lane >= numberOfLanes || laneX >= ROAD_WIDTH) return -1;
+        if (laneX >= this.length) return MoveResult.Exited;
 
         let currentLane = car.getLaneN();
         let currentLaneX = car.getLaneX();
 
-        if (currentLane >= numberOfLanes || currentLaneX >= ROAD_WIDTH) return -1;
+        if (currentLane >= numberOfLanes || currentLaneX >= this.length) return MoveResult.Exited;
+
+        // Check before touching the road, so a collision never leaves it half updated
+        if (lane < 0 || lane >= numberOfLanes || !this.isFootprintFree(car, lane, laneX)) {
+            this.recordCollision(car, lane, laneX);
+            return MoveResult.Collision;
+        }
 
         if (currentLane !== lane) {
             alertRearDriver(car, this, lane);
             car.alertMerge();
         }
-        this.roadSpace[currentLane][currentLaneX] = null;
-        let newSpace = this.roadSpace[lane][laneX];
-        if (newSpace != null) {
-            return -1;
-        }
-        this.roadSpace[lane][laneX] = car;
+        this.clearCarSpaces(car);
         car.setLanePos(lane, laneX);
-        return 0
+        this.fillCarSpaces(car);
+        return MoveResult.Moved;
+    }
+
+    /**
+     * Checks if a car would fit with its front at a space, every space its length covers has
+     * to be open or already hold the car.
+     * @param car to fit.
+     * @param lane to fit it in.
+     * @param laneX position of the front of the car.
+     * @returns {boolean}
+     */
+    isFootprintFree(car, lane, laneX) {
+        let laneData = this.roadSpace[lane];
+        for (let x = Math.max(0, laneX - car.length + 1); x <= laneX; x++) {
+            if (laneData[x] !== null && laneData[x] !== car) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks if a car would fit between the vehicles ahead of and behind it in another lane,
+     * counting how far each has driven through its space. The spaces beside it can be open
+     * while the car would run into the vehicle ahead before it could brake down to its speed,
+     * or the vehicle behind into it. Neither is counted on to keep going until the one behind
+     * reacts: the vehicle ahead may stop dead, and the vehicle behind may still be due to move
+     * this step and the next before the car does.
+     * @param car to fit.
+     * @param lane to fit it in.
+     * @returns {boolean}
+     */
+    fitsBetween(car, lane) {
+        let spaceSize = this.getSpaceSize();
+        let stepSeconds = car.stepSeconds;
+        // Room in feet a vehicle needs behind another: what it covers before it reacts, then
+        // what it takes to brake down to the speed of the other at MERGE_BRAKING
+        let roomNeeded = (speed, otherSpeed, steps) => {
+            let closing = Math.max(speed - otherSpeed, 0);
+            return Math.max(speed * steps * stepSeconds,
+                            closing * steps * stepSeconds + closing * closing / (2 * MERGE_BRAKING));
+        };
+        // Front positions in feet. The car may have driven on past its space this step, see
+        // driveCar, but it will not end up any further back than its space.
+        let position = vehicle => (vehicle.getLaneX() + getProgressInSpace(vehicle, this)) * spaceSize;
+        let front = car.getDistance() - spaceSize;
+
+        let spaces = getDistance(this, lane, car.getLaneX(), SpaceType.All);
+        let ahead = spaces >= 0 && spaces < 100 ? this.roadSpace[lane][car.getLaneX() + spaces + 1] : null;
+        if (ahead instanceof Car &&
+            position(ahead) - ahead.length * spaceSize - front < roomNeeded(car.speed, ahead.speed, 1)) {
+            return false;
+        }
+        let behind = getNeighborBehind(this, lane, Math.max(0, car.getTailX()));
+        if (behind === null) return true;
+        let gapBehind = position(car) - car.length * spaceSize - position(behind.car);
+        return gapBehind >= roomNeeded(behind.car.speed, car.speed, 2);
+    }
+
+    /**
+     * Marks every space a car covers on the road as holding it.
+     * @param car to place.
+     */
+    fillCarSpaces(car) {
+        let laneData = this.roadSpace[car.getLaneN()];
+        for (let x = Math.max(0, car.getTailX()); x <= car.getLaneX(); x++) {
+            laneData[x] = car;
+        }
+    }
+
+    /**
+     * Empties every space a car covers on the road.
+     * @param car to take off the road.
+     */
+    clearCarSpaces(car) {
+        let lane = car.getLaneN();
+        for (let x = Math.max(0, car.getTailX()); x <= car.getLaneX(); x++) {
+            if (this.roadSpace[lane][x] === car) {
+                this.clearSpace(lane, x);
+            }
+        }
     }
 
 
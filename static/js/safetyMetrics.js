@@ -0,0 +1,189 @@
+/**
+ * Safety surrogate metrics, which say how close to a crash traffic runs rather than how fast
+ * it flows: time-to-collision between each car and the car ahead of it, hard-braking events,
+ * and the gaps drivers accept when they merge. Each road keeps its own, see Road.safety.
+ */
+
+// Time-to-collision below this counts as a conflict, in seconds.
+const TTC_CONFLICT_THRESHOLD = 1.5;
+// Braking harder than this is a hard-braking event, in feet per second squared (about 0.4 g).
+// Only cars whose car-following model changes speed continuously are checked, see
+// registerCarFollowingModel. Legacy cars change speed in one step, so a step's change says
+// nothing about how hard they brake.
+const HARD_BRAKING_THRESHOLD = 13;
+// TTC histograms count each tick's lowest time-to-collision in buckets this wide, in seconds,
+// the last one holding the rest.
+const TTC_HISTOGRAM_BUCKET = 0.5;
+const TTC_HISTOGRAM_BUCKETS = 10;
+// Merge gap histograms count gaps in buckets this wide, in feet, the last one holding the rest.
+const MERGE_GAP_HISTOGRAM_BUCKET = 15;
+const MERGE_GAP_HISTOGRAM_BUCKETS = 10;
+
+/**
+ * Collects safety surrogate metrics for a road as it runs. Events are never purged, so the
+ * whole run can be exported. Time-to-collision is sampled every tick, so only its lowest value,
+ * its spread and the latest sample are kept.
+ */
+class SafetyMetrics {
+    // Latest sample: {time, minTTC, conflicts}, minTTC is null if no car was closing in
+    latestTTC = null;
+    // Lowest time-to-collision of the run, null until a car closes in on another
+    minTTC = null;
+    // Ticks by their lowest time-to-collision, in TTC_HISTOGRAM_BUCKET buckets, ticks with no
+    // car closing in left out
+    ttcHistogram = new Array(TTC_HISTOGRAM_BUCKETS).fill(0);
+    // Seconds spent by cars with a time-to-collision under TTC_CONFLICT_THRESHOLD, summed over
+    // cars (time exposed time-to-collision)
+    conflictTime = 0;
+    // {time, carId, lane, laneX, speed, deceleration}, one per stretch of hard braking
+    hardBrakingEvents = [];
+    // {time, carId, lane, laneX, speed, gapAhead, gapBehind}, gaps in feet, null if open
+    mergeGaps = [];
+    // Whether any car was checked for hard braking, see checkBraking
+    brakingMeasured = false;
+    // Ids of cars braking hard in the last tick, so a long stop counts once
+    braking = new Set();
+    lastSampleTime = null;
+
+    /**
+     * Samples the time-to-collision of every car on a road with the car ahead of it.
+     * @param {Road} road - Road to sample.
+     */
+    sampleTTC(road) {
+        const time = road.getTime();
+        const dtSeconds = this.lastSampleTime === null ? 0 : (time - this.lastSampleTime) / 1000;
+        this.lastSampleTime = time;
+
+        let minTTC = Infinity;
+        let conflicts = 0;
+        for (let car of road.cars) {
+            const ttc = getTimeToCollision(car, road);
+            if (ttc < minTTC) minTTC = ttc;
+            if (ttc < TTC_CONFLICT_THRESHOLD) conflicts++;
+        }
+        this.conflictTime += conflicts * dtSeconds;
+        this.latestTTC = {time: time, minTTC: isFinite(minTTC) ? minTTC : null, conflicts: conflicts};
+        if (isFinite(minTTC)) {
+            if (this.minTTC === null || minTTC < this.minTTC) this.minTTC = minTTC;
+            const bucket = Math.min(Math.floor(minTTC / TTC_HISTOGRAM_BUCKET), TTC_HISTOGRAM_BUCKETS - 1);
+            this.ttcHistogram[bucket]++;
+        }
+    }
+
+    /**
+     * Records a hard-braking event if a car just started braking harder than
+     * HARD_BRAKING_THRESHOLD. Cars whose car-following model has no continuousAcceleration
+     * are not checked.
+     * @param {Car} car - Car that just drove.
+     * @param {Road} road - Road it drove on.
+     */
+    checkBraking(car, road) {
+        const model = car.carFollowing ?? getCarFollowingModel(CarFollowingModel.Legacy);
+        if (!model.continuousAcceleration) return;
+        this.brakingMeasured = true;
+
+        const deceleration = -car.acceleration;
+        if (deceleration <= HARD_BRAKING_THRESHOLD) {
+            this.braking.delete(car.id);
+            return;
+        }
+        if (this.braking.has(car.id)) return;
+        this.braking.add(car.id);
+        this.hardBrakingEvents.push({
+            time: road.getTime(),
+            carId: car.id,
+            lane: car.getLaneN(),
+            laneX: car.getLaneX(),
+            speed: car.speed,
+            deceleration: deceleration,
+        });
+    }
+
+    /**
+     * Forgets a car that has left the road.
+     * @param {Car} car - Car that left.
+     */
+    removeCar(car) {
+        this.braking.delete(car.id);
+    }
+
+    /**
+     * Records the gap a car accepted, just before it merges into it.
+     * @param {Car} car - Car about to merge.
+     * @param {Road} road - Road it merges on.
+     * @param {number} targetLane - Lane it merges into.
+     */
+    recordMergeGap(car, road, targetLane) {
+        const ahead = getNeighborAhead(road, targetLane, car.getLaneX());
+        const behind = getNeighborBehind(road, targetLane, Math.max(0, car.getTailX()));
+        this.mergeGaps.push({
+            time: road.getTime(),
+            carId: car.id,
+            lane: targetLane,
+            laneX: car.getLaneX(),
+            speed: car.speed,
+            gapAhead: ahead === null ? null : ahead.gap,
+            gapBehind: behind === null ? null : behind.gap,
+        });
+    }
+
+    /**
+     * Gets the latest time-to-collision sample.
+     * @returns {{time: number, minTTC: number|null, conflicts: number}|null}
+     */
+    getLatestTTC() {
+        return this.latestTTC;
+    }
+
+    /**
+     * Gets how many hard-braking events there have been.
+     * @returns {number|null} null if no car was checked, see checkBraking.
+     */
+    getHardBrakingCount() {
+        return this.brakingMeasured ? this.hardBrakingEvents.length : null;
+    }
+
+    /**
+     * Gets the gaps cars accepted when merging, counting both sides of the merging car. Gaps
+     * open on either side are left out, they say nothing about what a driver would accept.
+     * @returns {number[]} gaps in feet.
+     */
+    getAcceptedGaps() {
+        return this.mergeGaps
+            .filter(gap => gap.gapAhead !== null && gap.gapBehind !== null)
+            .map(gap => gap.gapAhead + gap.gapBehind);
+    }
+
+    /**
+     * Sums up the run so far.
+     * @returns {{minTTC: number|null, conflictTime: number, ttcHistogram: number[],
+     * hardBrakingEvents: number|null, merges: number, medianMergeGap: number|null}}
+     */
+    getSummary() {
+        const gaps = this.getAcceptedGaps().sort((a, b) => a - b);
+        return {
+            minTTC: this.minTTC,
+            conflictTime: this.conflictTime,
+            ttcHistogram: this.ttcHistogram.slice(),
+            hardBrakingEvents: this.getHardBrakingCount(),
+            merges: this.mergeGaps.length,
+            medianMergeGap: gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : null,
+        };
+    }
+}
+
+/**
+ * Gets how long until a car would hit the car ahead of it if neither changed speed.
+ * @param {Car} car - Car to check.
+ * @param {Road} road - Road it is on.
+ * @returns {number} seconds, Infinity if it is not closing in on a car.
+ */
+function getTimeToCollision(car, road) {
+    const spaces = car.getActualDistance(road);
+    if (spaces < 0 || spaces >= 100) return Infinity;
+
+    const leader = road.roadSpace[car.getLaneN()][car.getLaneX() + spaces + 1];
+    if (!(leader instanceof Car) || car.speed <= leader.speed) return Infinity;
+
+    return getLeaderGap(car, road, spaces).gap / (car.speed - leader.speed);
+}
@@ -0,0 +1,177 @@
+/**
+ * Scenario scripts: timed events that change a running simulation, so incident lifecycles and
+ * signage changes can be replayed instead of moving sliders by hand. A script is a list of
+ * plain objects, so it can live in a scenario file:
+ *
+ *   [
+ *     {time: 60, action: 'closeLane', lane: 1, from: 30},
+ *     {time: 90, action: 'scaleDemand', factor: 2},
+ *     {time: 120, action: 'reopenLane', lane: 1},
+ *     {time: 200, action: 'set', property: 'mergeTendency', value: 0.2}
+ *   ]
+ */
+
+// Things a script event can do.
+const ScriptAction = {
+    // Blocks lane from space `from` (default 0) for `length` spaces (default to the road end).
+    CloseLane: 'closeLane',
+    // Clears blockages from lane, over the same range as CloseLane.
+    ReopenLane: 'reopenLane',
+    // Multiplies demand by `factor`, `target` is 'mainline', 'ramp' or 'all' (default 'all').
+    // Scales the mainline demand profile instead when there is one.
+    ScaleDemand: 'scaleDemand',
+    // Sets a numeric simulation option, e.g. mergeTendency or carGenerationInterval.
+    Set: 'set',
+}
+
+// Demand options each ScaleDemand target changes.
+const DEMAND_TARGETS = {
+    mainline: ['carGenerationInterval'],
+    ramp: ['rampCarGenerationInterval'],
+    all: ['carGenerationInterval', 'rampCarGenerationInterval'],
+}
+
+/**
+ * A list of timed events, run against a simulation as its clock passes them.
+ */
+class ScenarioScript {
+    events = [];
+    // Index of the next event to run
+    nextEvent = 0;
+    // Simulation options as they were before the script first changed them
+    savedOptions = {};
+
+    /**
+     * Creates a script.
+     * @param {Object[]} events - Events, each with a time in simulated seconds and an action
+     * from ScriptAction. They run in time order, ties in the order given.
+     */
+    constructor(events = []) {
+        events.forEach((event, i) => ScenarioScript.validate(event, i));
+        // Array sort is stable, so events at the same time keep their order
+        this.events = events.map(event => ({...event})).sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Throws if an event is malformed, so a bad script fails when it is loaded rather than
+     * minutes into a run.
+     * @param {Object} event - Event to check.
+     * @param {number} index - Position of the event in the script, for the error message.
+     */
+    static validate(event, index) {
+        const where = `Script event ${index + 1}`;
+        if (typeof event.time !== 'number' || !(event.time >= 0)) {
+            throw new Error(`${where}: time must be a number of seconds, got '${event.time}'`);
+        }
+        switch (event.action) {
+            case ScriptAction.CloseLane:
+            case ScriptAction.ReopenLane:
+                if (!Number.isInteger(event.lane) || event.lane < 0) {
+                    throw new Error(`${where}: lane must be a lane index, got '${event.lane}'`);
+                }
+                break;
+            case ScriptAction.ScaleDemand:
+                if (typeof event.factor !== 'number' || !(event.factor > 0)) {
+                    throw new Error(`${where}: factor must be a positive number, got '${event.factor}'`);
+                }
+                if (event.target !== undefined && !(event.target in DEMAND_TARGETS)) {
+                    throw new Error(`${where}: unknown demand target '${event.target}'`);
+                }
+                break;
+            case ScriptAction.Set:
+                if (typeof event.property !== 'string') {
+                    throw new Error(`${where}: set needs a property name`);
+                }
+                break;
+            default:
+                throw new Error(`${where}: unknown action '${event.action}'`);
+        }
+    }
+
+    /**
+     * Runs every event that is due by the simulation's current time.
+     * @param {Simulation} sim - Simulation to change.
+     */
+    update(sim) {
+        const now = sim.getTime();
+        while (this.nextEvent < this.events.length && this.events[this.nextEvent].time <= now) {
+            this.apply(sim, this.events[this.nextEvent]);
+            this.nextEvent++;
+        }
+    }
+
+    /**
+     * Runs one event.
+     * @param {Simulation} sim - Simulation to change.
+     * @param {Object} event - Event to run.
+     */
+    apply(sim, event) {
+        const road = sim.road;
+        switch (event.action) {
+            case ScriptAction.CloseLane:
+            case ScriptAction.ReopenLane: {
+                if (event.lane >= road.roadSpace.length) return;
+                const from = Math.max(0, event.from ?? 0);
+                const to = Math.min(road.length, from + (event.length ?? road.length));
+                for (let x = from; x < to; x++) {
+                    road.setBlockage(event.lane, x, event.action === ScriptAction.CloseLane);
+                }
+                break;
+            }
+            case ScriptAction.ScaleDemand:
+                // Demand is stored as time between cars, so more demand is a shorter interval
+                for (let property of DEMAND_TARGETS[event.target ?? 'all']) {
+                    if (property === 'carGenerationInterval' && sim.demandProfile) {
+                        // A profile is in vehicles per hour, it scales the other way
+                        const profile = sim.demandProfile;
+                        this.setOption(sim, 'demandProfile', {
+                            ...profile,
+                            baseFlow: (profile.baseFlow ?? 0) * event.factor,
+                            peakFlow: profile.peakFlow * event.factor,
+                        });
+                    } else if (sim[property] > 0) {
+                        this.setOption(sim, property, sim[property] / event.factor);
+                    }
+                }
+                break;
+            case ScriptAction.Set:
+                if (typeof sim[event.property] !== 'number' && sim[event.property] !== null) {
+                    throw new Error(`Script cannot set '${event.property}', it is not a numeric option`);
+                }
+                this.setOption(sim, event.property, event.value);
+                break;
+        }
+    }
+
+    /**
+     * Sets a simulation option, remembering its value from before the script ran.
+     * @param {Simulation} sim - Simulation to change.
+     * @param {string} property - Option to set.
+     * @param {*} value - New value.
+     */
+    setOption(sim, property, value) {
+        if (!(property in this.savedOptions)) {
+            this.savedOptions[property] = sim[property];
+        }
+        sim[property] = value;
+    }
+
+    /**
+     * Undoes the options the script changed and starts it again from the first event. Road
+     * changes need no undoing, the simulation builds a fresh road when it resets.
+     * @param {Simulation} sim - Simulation the script ran against.
+     */
+    rewind(sim) {
+        Object.assign(sim, this.savedOptions);
+        this.savedOptions = {};
+        this.nextEvent = 0;
+    }
+
+    /**
+     * Checks whether every event has run.
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.nextEvent >= this.events.length;
+    }
+}
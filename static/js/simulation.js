@@ -1,3 +1,32 @@
+// Kinds of road a simulation can model.
+const RoadType = {
+    WorkZone: 'workZone',
+    OnRamp: 'onRamp',
+}
+
+// Ways a simulation can draw its road.
+const RoadView = {
+    // Top down, cars moving along the lanes.
+    Road: 'road',
+    // Time-space diagram of the recorded trajectory, see renderTimeSpace.
+    TimeSpace: 'timeSpace',
+}
+
+// Simulated ms between samples of the metrics history.
+const HISTORY_INTERVAL = 1000;
+
+// Options that make up a simulation's configuration, see getOptions.
+const SIMULATION_OPTIONS = [
+    'roadType', 'lanes', 'blockedLanes', 'closedLanes', 'spaceSize', 'roadLength', 'closureStart',
+    'closureLength', 'rampLength', 'accelerationLaneLength', 'rampEntrySpeed', 'strictCollisions',
+    'trajectorySeconds', 'laneSplit', 'seed', 'mergeTendency', 'mergeTendencyVariance',
+    'cooperation', 'cooperationVariance', 'aggressiveness', 'aggressivenessVariance',
+    'carFollowingModel', 'laneChangeModel', 'behaviorMix', 'truckPercentage', 'busPercentage',
+    'motorcyclePercentage', 'headwayDistribution', 'minHeadway', 'demandProfile',
+    'carGenerationInterval', 'rampCarGenerationInterval', 'simulationUpdateInterval', 'timeScale',
+    'script',
+];
+
 /**
  * Simulation class that encapsulates a complete zipper merge simulation.
  * Allows multiple simulations to run independently on different canvases.
@@ -6,6 +35,37 @@
 class Simulation {
     // Road configuration
     road = null;
+    roadType = RoadType.WorkZone;
+    lanes = 2;  // mainline lanes for an on-ramp
+    blockedLanes = 1;
+    closedLanes = null;  // lane indices to close, null closes the rightmost blockedLanes
+    spaceSize = 15;  // feet
+    roadLength = ROAD_WIDTH;  // spaces
+    closureStart = BLOCK_START;  // space the closure starts at
+    closureLength = null;  // spaces, null runs the closure to the end of the road
+    // On-ramp configuration, only used when roadType is RoadType.OnRamp
+    rampLength = DEFAULT_RAMP_LENGTH;  // spaces before the ramp joins the mainline
+    accelerationLaneLength = DEFAULT_ACCELERATION_LANE_LENGTH;  // spaces
+    rampEntrySpeed = DEFAULT_RAMP_ENTRY_SPEED;  // feet per second
+    // Simulated clock shared with the road and its cars
+    clock = null;
+    // Seed for every random decision in a run, and the generator built from it
+    seed = 0;
+    random = null;
+    // Timed events that change the run as it goes, null for none
+    script = null;
+    // Metrics sampled every HISTORY_INTERVAL: {time, throughput, fairness, jainIndex, gini,
+    // tailRatio, queueLength, averageSpeed, averageDelay}, time in seconds
+    history = [];
+    nextHistoryTime = HISTORY_INTERVAL;
+    // Flag collisions as model bugs instead of letting cars crash, see Road.strictCollisions
+    strictCollisions = false;
+    // Simulated seconds of trajectory each road keeps for replay, 0 for none
+    trajectorySeconds = DEFAULT_TRAJECTORY_SECONDS;
+    // How the road is drawn, a RoadView
+    view = RoadView.Road;
+    // Last trajectory frame drawn in the time-space view, it only changes once per step
+    lastDrawnFrame = null;
 
     // Driver behavior parameters
     mergeTendency = 0.9;
@@ -14,46 +74,141 @@ class Simulation {
     cooperationVariance = 0.1;
     aggressiveness = 0.5;
     aggressivenessVariance = 0.1;
+    carFollowingModel = CarFollowingModel.Legacy;  // name of a registered car-following model
+    laneChangeModel = LaneChangeModel.GapCount;  // name of a registered lane-change model
+    // Shares of new cars given a registered driver behavior, [{behavior, fraction}], the rest
+    // drive with the default behavior
+    behaviorMix = [];
+
+    // Vehicle mix, percentages of new vehicles of each class, the rest are cars
+    truckPercentage = 0;
+    busPercentage = 0;
+    motorcyclePercentage = 0;
+
+    // Demand
+    headwayDistribution = HeadwayDistribution.Fixed;  // how time between arrivals is spread
+    minHeadway = DEFAULT_MIN_HEADWAY;  // seconds, for shifted exponential headways
+    laneSplit = null;  // share of mainline arrivals per lane, null to spread them evenly
+    demandProfile = null;  // mainline demand over time, see demand.js, null for constant
 
     // Timing
-    carGenerationInterval = 500;  // ms between car spawns
-    simulationUpdateInterval = 200;  // ms between simulation updates
+    carGenerationInterval = 500;  // simulated ms between car spawns
+    rampCarGenerationInterval = 4000;  // simulated ms between ramp car spawns, null for none
+    simulationUpdateInterval = 200;  // simulated ms per step, also the real ms between live updates
+    timeScale = 1;  // simulated seconds per real second when running live
 
     // Internal state
     canvas = null;
     ctx = null;
     running = false;
-    carIntervalId = null;
     simIntervalId = null;
     animationFrameId = null;
+    nextCarTime = 0;  // simulated ms at which the next car spawns
+    nextRampCarTime = 0;  // simulated ms at which the next ramp car spawns
+    pendingSteps = 0;  // fractional steps carried over between live updates
 
     /**
      * Creates a new simulation.
-     * @param {string} canvasId - The ID of the canvas element to render to.
+     * @param {string|null} canvasId - The ID of the canvas element to render to, or null to
+     * run headless (no rendering, e.g. in Node).
      * @param {Object} options - Configuration options.
-     * @param {number} options.lanes - Number of lanes (default: 3).
+     * @param {string} options.roadType - A RoadType (default: RoadType.WorkZone).
+     * @param {number} options.lanes - Number of lanes, mainline lanes for an on-ramp (default: 2).
      * @param {number} options.blockedLanes - Number of blocked lanes (default: 1).
+     * @param {number[]} options.closedLanes - Lane indices to close instead, 0 = leftmost
+     * (default: the rightmost blockedLanes lanes).
+     * @param {number} options.rampLength - On-ramp: spaces before the ramp joins (default: 15).
+     * @param {number} options.accelerationLaneLength - On-ramp: spaces of acceleration lane
+     * (default: 20).
+     * @param {number} options.rampEntrySpeed - On-ramp: entry speed in ft/s (default: 40).
      * @param {number} options.spaceSize - Size of each space in feet (default: 15).
+     * @param {number} options.roadLength - Length of the road in spaces (default: 50).
+     * @param {number} options.closureStart - Space the closure starts at (default: 40).
+     * @param {number} options.closureLength - Length of the closure in spaces (default: to the
+     * end of the road).
      * @param {number} options.mergeTendency - Base merge tendency (default: 0.9).
      * @param {number} options.mergeTendencyVariance - Variance for merge tendency (default: 0.1).
      * @param {number} options.cooperation - Base cooperation (default: 1).
      * @param {number} options.cooperationVariance - Variance for cooperation (default: 0.1).
      * @param {number} options.aggressiveness - Base aggressiveness (default: 0.5).
      * @param {number} options.aggressivenessVariance - Variance for aggressiveness (default: 0.1).
+     * @param {string} options.carFollowingModel - Car-following model for new cars, a
+     * CarFollowingModel or any registered name (default: CarFollowingModel.Legacy).
+     * @param {string} options.laneChangeModel - Lane-change model for new cars, a LaneChangeModel
+     * or any registered name (default: LaneChangeModel.GapCount).
+     * @param {Object[]} options.behaviorMix - Driver behaviors to hand out, each
+     * {behavior: name, fraction: 0-1}, fractions adding up to at most 1 (default: none).
+     * @param {number} options.truckPercentage - Percent of new vehicles that are trucks
+     * (default: 0).
+     * @param {number} options.busPercentage - Percent of new vehicles that are buses (default: 0).
+     * @param {number} options.motorcyclePercentage - Percent of new vehicles that are motorcycles
+     * (default: 0).
+     * @param {string} options.headwayDistribution - A HeadwayDistribution for the time between
+     * arrivals (default: HeadwayDistribution.Fixed).
+     * @param {number} options.minHeadway - Shortest time between shifted exponential arrivals,
+     * in seconds (default: 1).
+     * @param {number[]} options.laneSplit - Share of mainline arrivals for each lane, e.g.
+     * [0.7, 0.3] (default: even).
+     * @param {Object} options.demandProfile - Mainline demand over time in vehicles per hour,
+     * see demand.js, in place of carGenerationInterval (default: constant).
+     * @param {number} options.carGenerationInterval - Simulated ms between car spawns (default: 500).
+     * @param {number|null} options.rampCarGenerationInterval - On-ramp: simulated ms between ramp
+     * car spawns, null for no ramp traffic (default: 4000).
+     * @param {number} options.simulationUpdateInterval - Simulated ms per step (default: 200).
+     * @param {number} options.timeScale - Simulated seconds per real second when live (default: 1).
+     * @param {number} options.seed - Seed for the random number generator (default: random).
+     * @param {Object[]|ScenarioScript} options.script - Timed events to run, see
+     * scenarioScript.js (default: none).
+     * @param {boolean} options.strictCollisions - Treat any collision as a bug in the model,
+     * cars stay put rather than crash (default: false).
+     * @param {number} options.trajectorySeconds - Simulated seconds of car trajectories to keep
+     * for replay, 0 for none (default: 120).
      */
     constructor(canvasId, options = {}) {
-        // Get canvas
-        this.canvas = document.getElementById(canvasId);
-        if (!this.canvas) {
-            throw new Error(`Canvas with id '${canvasId}' not found`);
+        // Get canvas, headless simulations have none
+        if (canvasId !== null && canvasId !== undefined) {
+            this.canvas = document.getElementById(canvasId);
+            if (!this.canvas) {
+                throw new Error(`Canvas with id '${canvasId}' not found`);
+            }
+            this.ctx = this.canvas.getContext('2d');
         }
-        this.ctx = this.canvas.getContext('2d');
 
+        this.applyOptions(options);
+        this.seed = options.seed ?? generateSeed();
+        this.random = createSeededRandom(this.seed);
+        this.clock = new SimulationClock();
+        this.road = this.createRoad();
+        this.scheduleNextCar(0);
+        this.nextRampCarTime = this.rampCarGenerationInterval ?? Infinity;
+
+        // Bind methods to preserve 'this' context in callbacks
+        this.simulationUpdate = this.simulationUpdate.bind(this);
+        this.renderLoop = this.renderLoop.bind(this);
+    }
+
+    /**
+     * Sets configuration options, leaving any not given as they are. Road options only take
+     * effect once the road is rebuilt, see setOptions.
+     * @param {Object} options - Options, as for the constructor.
+     */
+    applyOptions(options) {
         // Road configuration
-        const lanes = options.lanes ?? 2;
-        const blockedLanes = options.blockedLanes ?? 1;
-        const spaceSize = options.spaceSize ?? 15;
-        this.road = new Road(lanes, blockedLanes, spaceSize);
+        if (options.roadType !== undefined) this.roadType = options.roadType;
+        if (options.lanes !== undefined) this.lanes = options.lanes;
+        if (options.blockedLanes !== undefined) this.blockedLanes = options.blockedLanes;
+        if (options.closedLanes !== undefined) this.closedLanes = options.closedLanes;
+        if (options.spaceSize !== undefined) this.spaceSize = options.spaceSize;
+        if (options.roadLength !== undefined) this.roadLength = options.roadLength;
+        if (options.closureStart !== undefined) this.closureStart = options.closureStart;
+        if (options.closureLength !== undefined) this.closureLength = options.closureLength;
+        if (options.rampLength !== undefined) this.rampLength = options.rampLength;
+        if (options.accelerationLaneLength !== undefined) this.accelerationLaneLength = options.accelerationLaneLength;
+        if (options.rampEntrySpeed !== undefined) this.rampEntrySpeed = options.rampEntrySpeed;
+        if (options.strictCollisions !== undefined) this.strictCollisions = options.strictCollisions;
+        if (options.trajectorySeconds !== undefined) this.trajectorySeconds = options.trajectorySeconds;
+        if (options.laneSplit !== undefined) this.laneSplit = validateLaneSplit(options.laneSplit);
+        if (options.seed !== undefined) this.seed = options.seed;
 
         // Driver behavior parameters
         if (options.mergeTendency !== undefined) this.mergeTendency = options.mergeTendency;
@@ -62,15 +217,52 @@ class Simulation {
         if (options.cooperationVariance !== undefined) this.cooperationVariance = options.cooperationVariance;
         if (options.aggressiveness !== undefined) this.aggressiveness = options.aggressiveness;
         if (options.aggressivenessVariance !== undefined) this.aggressivenessVariance = options.aggressivenessVariance;
+        if (options.carFollowingModel !== undefined) this.carFollowingModel = options.carFollowingModel;
+        if (options.laneChangeModel !== undefined) this.laneChangeModel = options.laneChangeModel;
+        if (options.behaviorMix !== undefined) this.setBehaviorMix(options.behaviorMix);
+
+        // Vehicle mix
+        if (options.truckPercentage !== undefined) this.truckPercentage = options.truckPercentage;
+        if (options.busPercentage !== undefined) this.busPercentage = options.busPercentage;
+        if (options.motorcyclePercentage !== undefined) this.motorcyclePercentage = options.motorcyclePercentage;
+
+        // Demand
+        if (options.headwayDistribution !== undefined) this.headwayDistribution = options.headwayDistribution;
+        if (options.minHeadway !== undefined) this.minHeadway = options.minHeadway;
+        if (options.demandProfile !== undefined) this.setDemandProfile(options.demandProfile, false);
 
         // Timing options
         if (options.carGenerationInterval !== undefined) this.carGenerationInterval = options.carGenerationInterval;
+        if (options.rampCarGenerationInterval !== undefined) this.rampCarGenerationInterval = options.rampCarGenerationInterval;
         if (options.simulationUpdateInterval !== undefined) this.simulationUpdateInterval = options.simulationUpdateInterval;
+        if (options.timeScale !== undefined) this.timeScale = options.timeScale;
+        if (options.script !== undefined) this.setScript(options.script, false);
+    }
 
-        // Bind methods to preserve 'this' context in callbacks
-        this.generateRandomCar = this.generateRandomCar.bind(this);
-        this.simulationUpdate = this.simulationUpdate.bind(this);
-        this.renderLoop = this.renderLoop.bind(this);
+    /**
+     * Changes configuration options and restarts the run with them.
+     * @param {Object} options - Options, as for the constructor. Any not given stay as they are.
+     */
+    setOptions(options) {
+        // Undo what a script changed first, or restarting would put it back over the new options
+        this.script?.rewind(this);
+        this.applyOptions(options);
+        this.reset();
+    }
+
+    /**
+     * Gets the configuration of this simulation, everything needed to build it again. Options
+     * a scenario script changed are given as they were before it ran.
+     * @returns {Object} a copy of the options, as for the constructor.
+     */
+    getOptions() {
+        const saved = this.script?.savedOptions ?? {};
+        const options = {};
+        for (let name of SIMULATION_OPTIONS) {
+            options[name] = name in saved ? saved[name] : this[name];
+        }
+        options.script = this.script ? this.script.events : null;
+        return JSON.parse(JSON.stringify(options));
     }
 
     /**
@@ -80,14 +272,14 @@ class Simulation {
         if (this.running) return;
         this.running = true;
 
-        // Start car generation
-        this.carIntervalId = setInterval(this.generateRandomCar, this.carGenerationInterval);
-
-        // Start simulation updates
+        // Start simulation updates, each one steps the simulated clock
         this.simIntervalId = setInterval(this.simulationUpdate, this.simulationUpdateInterval);
 
         // Start render loop
-        this.animationFrameId = requestAnimationFrame(this.renderLoop);
+        this.lastDrawnFrame = null;
+        if (this.ctx) {
+            this.animationFrameId = requestAnimationFrame(this.renderLoop);
+        }
     }
 
     /**
@@ -97,11 +289,6 @@ class Simulation {
         if (!this.running) return;
         this.running = false;
 
-        if (this.carIntervalId) {
-            clearInterval(this.carIntervalId);
-            this.carIntervalId = null;
-        }
-
         if (this.simIntervalId) {
             clearInterval(this.simIntervalId);
             this.simIntervalId = null;
@@ -114,20 +301,63 @@ class Simulation {
     }
 
     /**
-     * Resets the simulation with a fresh road.
+     * Creates a road from the road configuration, sharing this simulation's clock and
+     * random number generator.
+     * @returns {Road}
+     */
+    createRoad() {
+        if (this.roadType === RoadType.OnRamp) {
+            return new OnRampRoad(this.lanes, this.spaceSize, {
+                clock: this.clock,
+                random: this.random,
+                length: this.roadLength,
+                rampLength: this.rampLength,
+                accelerationLaneLength: this.accelerationLaneLength,
+                rampEntrySpeed: this.rampEntrySpeed,
+                strictCollisions: this.strictCollisions,
+                laneSplit: this.laneSplit,
+                trajectorySeconds: this.trajectorySeconds,
+            });
+        }
+        return new Road(this.lanes, this.blockedLanes, this.spaceSize, {
+            clock: this.clock,
+            random: this.random,
+            length: this.roadLength,
+            closureStart: this.closureStart,
+            closureLength: this.closureLength ?? undefined,
+            closedLanes: this.closedLanes ?? undefined,
+            strictCollisions: this.strictCollisions,
+            laneSplit: this.laneSplit,
+            trajectorySeconds: this.trajectorySeconds,
+        });
+    }
+
+    /**
+     * Resets the simulation with a fresh road. The same seed replays the same run.
      */
     reset() {
         const wasRunning = this.running;
         this.stop();
 
-        // Create a new road with the same configuration
-        const lanes = this.road.roadSpace.length;
-        const blockedLanes = this.road.blockedLanes;
-        const spaceSize = this.road.spaceSize;
-        this.road = new Road(lanes, blockedLanes, spaceSize);
+        // Undo whatever the script changed, it starts over with the run
+        if (this.script) {
+            this.script.rewind(this);
+        }
+
+        // Create a new road from the current configuration
+        this.random = createSeededRandom(this.seed);
+        this.clock = new SimulationClock();
+        this.road = this.createRoad();
+        this.scheduleNextCar(0);
+        this.nextRampCarTime = this.rampCarGenerationInterval ?? Infinity;
+        this.pendingSteps = 0;
+        this.history = [];
+        this.nextHistoryTime = HISTORY_INTERVAL;
 
         // Clear the canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.ctx) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
 
         // Restart if it was running
         if (wasRunning) {
@@ -135,6 +365,179 @@ class Simulation {
         }
     }
 
+    /**
+     * Advances the simulation by a fixed amount of simulated time, spawning any cars that are
+     * due and then driving every car on the road.
+     * @param {number} dtSeconds - Simulated seconds to advance (default: one update interval).
+     */
+    step(dtSeconds = this.simulationUpdateInterval / 1000) {
+        this.clock.advance(dtSeconds);
+
+        if (this.script) {
+            this.script.update(this);
+        }
+
+        while (this.nextCarTime <= this.clock.getTime()) {
+            // A car due while there is no demand does not come
+            if (isFinite(this.getMeanHeadway(this.nextCarTime))) {
+                this.generateRandomCar();
+            }
+            this.scheduleNextCar(this.nextCarTime);
+        }
+
+        // Ramp demand is independent of mainline demand, and can be switched on mid-run
+        if (this.road instanceof OnRampRoad && this.rampCarGenerationInterval > 0) {
+            if (!isFinite(this.nextRampCarTime)) {
+                this.nextRampCarTime = this.clock.getTime() + this.drawHeadway(this.rampCarGenerationInterval);
+            }
+            while (this.nextRampCarTime <= this.clock.getTime()) {
+                this.generateRandomCar(this.road.rampLane);
+                this.nextRampCarTime += this.drawHeadway(this.rampCarGenerationInterval);
+            }
+        }
+
+        this.road.driveCars();
+
+        while (this.nextHistoryTime <= this.clock.getTime()) {
+            this.recordHistory();
+            this.nextHistoryTime += HISTORY_INTERVAL;
+        }
+    }
+
+    /**
+     * Adds the current metrics to the history.
+     */
+    recordHistory() {
+        this.history.push({
+            time: this.getTime(),
+            throughput: this.getCarsPerSecond(),
+            fairness: this.getFairness(),
+            jainIndex: this.getFairness(FairnessMetric.Jain),
+            gini: this.getFairness(FairnessMetric.Gini),
+            tailRatio: this.getFairness(FairnessMetric.TailRatio),
+            queueLength: this.getQueueLength(),
+            averageSpeed: this.road.traffic.averageSpeed,
+            averageDelay: this.road.getAverageDelay() / 1000,
+        });
+    }
+
+    /**
+     * Runs the simulation for a length of simulated time in fixed steps, as fast as possible.
+     * @param {number} seconds - Simulated seconds to run for.
+     */
+    runFor(seconds) {
+        const dt = this.simulationUpdateInterval / 1000;
+        const steps = Math.round(seconds / dt);
+        for (let i = 0; i < steps; i++) {
+            this.step(dt);
+        }
+    }
+
+    /**
+     * Gets the current simulated time in seconds.
+     * @returns {number}
+     */
+    getTime() {
+        return this.clock.getSeconds();
+    }
+
+    /**
+     * Changes the seed and restarts the run from it.
+     * @param {number} seed - New seed.
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.reset();
+    }
+
+    /**
+     * Replaces the scenario script.
+     * @param {Object[]|ScenarioScript|null} script - Timed events to run, or null for none.
+     * @param {boolean} restart - Whether to reset so the script runs from the start (default:
+     * true).
+     */
+    setScript(script, restart = true) {
+        if (this.script) {
+            this.script.rewind(this);
+        }
+        if (script === null || script instanceof ScenarioScript) {
+            this.script = script;
+        } else {
+            this.script = new ScenarioScript(script);
+        }
+        if (restart) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Gets the mean time between mainline arrivals at a point in the run.
+     * @param {number} time - Simulated ms since the run started.
+     * @returns {number} ms, Infinity when there is no demand.
+     */
+    getMeanHeadway(time) {
+        if (this.demandProfile) {
+            const flow = getProfileFlow(this.demandProfile, time / 1000);
+            return flow > 0 ? MS_PER_HOUR / flow : Infinity;
+        }
+        return this.carGenerationInterval > 0 ? this.carGenerationInterval : Infinity;
+    }
+
+    /**
+     * Gets the mainline demand at a point in the run.
+     * @param {number} time - Simulated ms since the run started (default: now).
+     * @returns {number} vehicles per hour.
+     */
+    getDemandFlow(time = this.clock.getTime()) {
+        return MS_PER_HOUR / this.getMeanHeadway(time);
+    }
+
+    /**
+     * Draws the time until the next arrival from the headway distribution.
+     * @param {number} meanHeadway - Mean time between arrivals, in ms.
+     * @returns {number} ms.
+     */
+    drawHeadway(meanHeadway) {
+        return sampleHeadway(this.headwayDistribution, meanHeadway, this.minHeadway * 1000, this.random);
+    }
+
+    /**
+     * Picks when the next mainline car arrives, from the demand at the last arrival. While
+     * there is no demand it looks again every step.
+     * @param {number} from - Simulated ms of the last arrival.
+     */
+    scheduleNextCar(from) {
+        const meanHeadway = this.getMeanHeadway(from);
+        this.nextCarTime = from + (isFinite(meanHeadway) ? this.drawHeadway(meanHeadway)
+                                                           : this.simulationUpdateInterval);
+    }
+
+    /**
+     * Replaces the mainline demand profile.
+     * @param {Object|null} profile - Demand over time, see demand.js, or null for the constant
+     * carGenerationInterval.
+     * @param {boolean} restart - Whether to reset so the profile runs from the start (default:
+     * true).
+     */
+    setDemandProfile(profile, restart = true) {
+        if (profile !== null) {
+            validateDemandProfile(profile);
+        }
+        this.demandProfile = profile;
+        if (restart) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Sets the share of mainline arrivals for each lane, without restarting the run.
+     * @param {number[]|null} laneSplit - Shares indexed by lane, or null to spread evenly.
+     */
+    setLaneSplit(laneSplit) {
+        this.laneSplit = validateLaneSplit(laneSplit);
+        this.road.laneSplit = this.laneSplit;
+    }
+
     /**
      * Gets the number of cars per second.
      * @returns {number|*}
@@ -145,32 +548,151 @@ class Simulation {
 
     /**
      * Gets the fairness score (0-1).
+     * @param {string} metric - FairnessMetric to score with (default: 1 / (1 + CV)).
      * @returns {number}
      */
-    getFairness() {
-        return this.road.getFairness();
+    getFairness(metric = FairnessMetric.CV) {
+        return this.road.getFairness(metric);
     }
 
     /**
-     * Generates a random car and adds it to the road.
+     * Compares travel times of recently finished cars by the lane they started in.
+     * @returns {Object} see getLaneEquity in fairness.js.
      */
-    generateRandomCar() {
-        const mt = randomBoundedNormal(this.mergeTendency, this.mergeTendencyVariance);
-        const c = randomBoundedNormal(this.cooperation, this.cooperationVariance);
-        const a = randomBoundedNormal(this.aggressiveness, this.aggressivenessVariance);
-        const laneNumber = this.road.getRandomLane();
+    getLaneEquity() {
+        return this.road.getLaneEquity();
+    }
 
-        if (laneNumber >= 0) {
-            const car = new Car(mt, c, a, laneNumber);
-            this.road.addCar(car);
+    /**
+     * Gets the number of cars waiting to get on the road.
+     * @returns {number}
+     */
+    getQueueLength() {
+        return this.road.getQueueLength();
+    }
+
+    /**
+     * Gets the share of cars that arrived this run but are still waiting to get on.
+     * @returns {number} between 0 and 1.
+     */
+    getUnservedDemand() {
+        return this.road.getUnservedDemand();
+    }
+
+    /**
+     * Gets the number of collisions this run.
+     * @returns {number}
+     */
+    getCollisionCount() {
+        return this.road.getCollisionCount();
+    }
+
+    /**
+     * Switches strict collision mode on or off, without restarting the run.
+     * @param {boolean} strict - Whether collisions are flagged as model bugs.
+     */
+    setStrictCollisions(strict) {
+        this.strictCollisions = strict;
+        this.road.strictCollisions = strict;
+    }
+
+    /**
+     * Generates a random car and adds it to the road, or queues it up if there is no room.
+     * @param {number} lane - Lane to add it in (default: a random open entry lane).
+     */
+    generateRandomCar(lane) {
+        const mt = randomBoundedNormal(this.mergeTendency, this.mergeTendencyVariance, this.random);
+        const c = randomBoundedNormal(this.cooperation, this.cooperationVariance, this.random);
+        const a = randomBoundedNormal(this.aggressiveness, this.aggressivenessVariance, this.random);
+
+        // With no room at the entrance the car waits upstream rather than being dropped. Without
+        // a lane given, the road picks one as the car gets on, so it has none until then.
+        const car = new Car(mt, c, a, lane ?? -1, this.random, this.pickVehicleClass());
+        car.carFollowing = getCarFollowingModel(this.carFollowingModel);
+        car.laneChange = getLaneChangeModel(this.laneChangeModel);
+        car.behavior = this.pickBehavior();
+        this.road.queueCar(car, lane);
+    }
+
+    /**
+     * Sets the shares of new cars that get each driver behavior. Cars already on the road keep
+     * theirs.
+     * @param {Object[]} behaviorMix - Each {behavior: name, fraction: 0-1}.
+     */
+    setBehaviorMix(behaviorMix) {
+        let total = 0;
+        for (let entry of behaviorMix) {
+            getDriverBehavior(entry.behavior);
+            if (!(entry.fraction >= 0)) {
+                throw new Error(`Behavior '${entry.behavior}' needs a fraction of 0 or more`);
+            }
+            total += entry.fraction;
+        }
+        if (total > 1 + 1e-9) {
+            throw new Error(`Behavior fractions add up to ${total}, more than 1`);
+        }
+        this.behaviorMix = behaviorMix;
+    }
+
+    /**
+     * Picks the class of a new vehicle from the vehicle mix.
+     * @returns {string} a VehicleClass.
+     */
+    pickVehicleClass() {
+        const mix = [
+            [VehicleClass.Truck, this.truckPercentage],
+            [VehicleClass.Bus, this.busPercentage],
+            [VehicleClass.Motorcycle, this.motorcyclePercentage],
+        ];
+        // Only draw when there is a mix, so all-car runs replay exactly as before
+        if (mix.every(([, percentage]) => !(percentage > 0))) return VehicleClass.Car;
+
+        let draw = this.random() * 100;
+        for (let [vehicleClass, percentage] of mix) {
+            draw -= percentage;
+            if (draw < 0) return vehicleClass;
         }
+        return VehicleClass.Car;
     }
 
     /**
-     * Updates the simulation state.
+     * Picks the driver behavior for a new car from the behavior mix.
+     * @returns {Object|null} the behavior, or null for the default.
+     */
+    pickBehavior() {
+        // Only draw when there is a mix, so runs without one replay exactly as before
+        if (this.behaviorMix.length === 0) return null;
+
+        let draw = this.random();
+        for (let entry of this.behaviorMix) {
+            draw -= entry.fraction;
+            if (draw < 0) return getDriverBehavior(entry.behavior);
+        }
+        return null;
+    }
+
+    /**
+     * Live update, called every simulationUpdateInterval real ms. Runs as many fixed steps as
+     * the time scale asks for, so the outcome does not depend on how often this is called.
      */
     simulationUpdate() {
-        this.road.driveCars();
+        this.pendingSteps += this.timeScale;
+        while (this.pendingSteps >= 1) {
+            this.step();
+            this.pendingSteps -= 1;
+        }
+    }
+
+    /**
+     * Switches how the road is drawn.
+     * @param {string} view - A RoadView.
+     */
+    setView(view) {
+        if (!Object.values(RoadView).includes(view)) {
+            throw new Error(`Unknown road view '${view}'`);
+        }
+        this.view = view;
+        this.lastDrawnFrame = null;
     }
 
     /**
@@ -179,7 +701,16 @@ class Simulation {
     renderLoop() {
         if (!this.running) return;
 
-        renderRoad(this.road, this.ctx, this.canvas);
+        if (this.view === RoadView.TimeSpace) {
+            const frames = this.road.trajectory.frames;
+            const latest = frames[frames.length - 1] ?? null;
+            if (latest !== this.lastDrawnFrame) {
+                renderTimeSpace(this.road, this.ctx, this.canvas);
+                this.lastDrawnFrame = latest;
+            }
+        } else {
+            renderRoad(this.road, this.ctx, this.canvas);
+        }
         this.animationFrameId = requestAnimationFrame(this.renderLoop);
     }
 }
@@ -0,0 +1,303 @@
+/**
+ * Parameter sweeps: runs headless simulations over a grid of two parameters, several
+ * replications per cell, and draws the results as heatmaps.
+ */
+
+// Parameters that can be swept, with the range offered by default.
+const SWEEP_PARAMETERS = {
+    mergeTendency: {label: 'Merge Tendency', min: 0, max: 1},
+    cooperation: {label: 'Cooperation', min: 0, max: 1},
+    aggressiveness: {label: 'Following Distance', min: 0, max: 1},
+    mergeTendencyVariance: {label: 'Merge Tendency Variance', min: 0, max: 0.5},
+    cooperationVariance: {label: 'Cooperation Variance', min: 0, max: 0.5},
+    aggressivenessVariance: {label: 'Following Variance', min: 0, max: 0.5},
+    carGenerationInterval: {label: 'Car Generation Interval (ms)', min: 200, max: 2000},
+};
+
+// Columns of the downloadable results table, in order.
+const SWEEP_COLUMNS = [
+    'x', 'y', 'replication', 'seed', 'carsPerSecond', 'fairness', 'throughput', 'runFairness'
+];
+
+// Heatmap layout in canvas pixels.
+const HEATMAP_MARGIN_LEFT = 60;
+const HEATMAP_MARGIN_BOTTOM = 40;
+const HEATMAP_MARGIN_TOP = 10;
+const HEATMAP_LEGEND_WIDTH = 70;
+
+/**
+ * Gets evenly spaced values between min and max, inclusive.
+ * @param {number} min - First value.
+ * @param {number} max - Last value.
+ * @param {number} steps - Number of values, a whole number of 1 or more.
+ * @returns {number[]}
+ */
+function getSweepValues(min, max, steps) {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+        throw new Error(`Sweep range must run between two numbers, got '${min}' to '${max}'`);
+    }
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Sweep steps must be a whole number of 1 or more, got '${steps}'`);
+    }
+    if (steps <= 1) return [min];
+    const values = [];
+    for (let i = 0; i < steps; i++) {
+        values.push(min + (max - min) * i / (steps - 1));
+    }
+    return values;
+}
+
+/**
+ * A grid of headless runs over two parameters.
+ */
+class ParameterSweep {
+    results = [];
+    cells = [];
+    running = false;
+
+    /**
+     * Creates a sweep, throwing if the configuration cannot be run.
+     * @param {Object} config - Sweep configuration.
+     * @param {string} config.xParam - Parameter on the X axis, a key of SWEEP_PARAMETERS.
+     * @param {number[]} config.xValues - Values of the X parameter.
+     * @param {string} config.yParam - Parameter on the Y axis, a key of SWEEP_PARAMETERS.
+     * @param {number[]} config.yValues - Values of the Y parameter.
+     * @param {number} config.replications - Runs per cell (default: 3).
+     * @param {number} config.minutes - Simulated minutes per run (default: 5).
+     * @param {number} config.seed - Seed of the first replication, replication r uses seed + r,
+     * so every cell sees the same random draws (default: 1).
+     * @param {Object} config.baseOptions - Simulation options for everything not swept.
+     */
+    constructor(config) {
+        this.xParam = config.xParam;
+        this.xValues = config.xValues;
+        this.yParam = config.yParam;
+        this.yValues = config.yValues;
+        this.replications = config.replications ?? 3;
+        this.minutes = config.minutes ?? 5;
+        this.seed = config.seed ?? 1;
+        this.baseOptions = config.baseOptions ?? {};
+
+        for (let param of [this.xParam, this.yParam]) {
+            if (!(param in SWEEP_PARAMETERS)) {
+                throw new Error(`Unknown sweep parameter '${param}'`);
+            }
+        }
+        if (this.xParam === this.yParam) {
+            throw new Error('Sweep needs two different parameters');
+        }
+        if (this.xValues.length === 0 || this.yValues.length === 0) {
+            throw new Error('Sweep needs at least one value of each parameter');
+        }
+        if (!Number.isInteger(this.replications) || this.replications < 1) {
+            throw new Error('Sweep replications must be a whole number of 1 or more, ' +
+                            `got '${this.replications}'`);
+        }
+        if (!(this.minutes > 0)) {
+            throw new Error(`Sweep minutes must be more than 0, got '${this.minutes}'`);
+        }
+        if (!Number.isInteger(this.seed)) {
+            throw new Error(`Sweep seed must be a whole number, got '${this.seed}'`);
+        }
+
+        // cells[yi][xi] holds the replication averages of that cell, see runCell
+        this.cells = this.yValues.map(() => this.xValues.map(() => null));
+    }
+
+    /**
+     * Gets the total number of runs in this sweep.
+     * @returns {number}
+     */
+    getRunCount() {
+        return this.xValues.length * this.yValues.length * this.replications;
+    }
+
+    /**
+     * Runs every replication of one cell and stores the results.
+     * @param {number} xi - Index into xValues.
+     * @param {number} yi - Index into yValues.
+     */
+    runCell(xi, yi) {
+        const x = this.xValues[xi];
+        const y = this.yValues[yi];
+        const runs = [];
+
+        for (let r = 0; r < this.replications; r++) {
+            const seed = this.seed + r;
+            const {summary} = runScenario({
+                ...this.baseOptions,
+                [this.xParam]: x,
+                [this.yParam]: y,
+                seed: seed,
+                minutes: this.minutes,
+            });
+            const row = {
+                x: x,
+                y: y,
+                replication: r + 1,
+                seed: seed,
+                carsPerSecond: summary.windowThroughput,
+                fairness: summary.windowFairness,
+                throughput: summary.throughput,
+                runFairness: summary.fairness,
+            };
+            runs.push(row);
+            this.results.push(row);
+        }
+
+        const average = (key) => runs.reduce((sum, row) => sum + row[key], 0) / runs.length;
+        // Averaged over each whole run, the 10 second window at the end of a run is too noisy
+        // to tell cells apart
+        this.cells[yi][xi] = {
+            throughput: average('throughput'),
+            fairness: average('runFairness'),
+        };
+    }
+
+    /**
+     * Runs the whole sweep one cell at a time, yielding to the page between cells so it
+     * stays responsive.
+     * @param {function(number, number)} onProgress - Called with (runs done, total runs).
+     * @returns {Promise<void>} resolves once every cell has run or the sweep is stopped.
+     */
+    run(onProgress = () => {}) {
+        this.running = true;
+        const total = this.getRunCount();
+        let index = 0;
+
+        return new Promise((resolve) => {
+            const next = () => {
+                if (!this.running || index >= this.xValues.length * this.yValues.length) {
+                    this.running = false;
+                    resolve();
+                    return;
+                }
+                const xi = index % this.xValues.length;
+                const yi = Math.floor(index / this.xValues.length);
+                this.runCell(xi, yi);
+                index++;
+                onProgress(this.results.length, total);
+                setTimeout(next, 0);
+            };
+            next();
+        });
+    }
+
+    /**
+     * Stops a running sweep after the current cell.
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Gets every run as CSV, labelled with the swept parameter names.
+     * @returns {string}
+     */
+    toCSV() {
+        const rows = this.results.map(row => ({
+            ...row,
+            [this.xParam]: row.x,
+            [this.yParam]: row.y,
+        }));
+        const columns = [this.xParam, this.yParam, ...SWEEP_COLUMNS.slice(2)];
+        return toCSV(rows, columns);
+    }
+}
+
+/**
+ * Maps a value from 0 to 1 onto a dark blue to yellow color scale.
+ * @param {number} t - Value between 0 and 1.
+ * @returns {string} CSS color.
+ */
+function getHeatmapColor(t) {
+    const clamped = Math.max(0, Math.min(1, t));
+    const hue = 240 - clamped * 180;
+    const lightness = 25 + clamped * 35;
+    return `hsl(${hue}, 70%, ${lightness}%)`;
+}
+
+/**
+ * Draws one metric of a sweep as a heatmap, Y values increasing upwards.
+ * @param {ParameterSweep} sweep - Sweep to draw.
+ * @param {string} metric - Cell key to draw, 'throughput' or 'fairness'.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {HTMLCanvasElement} canvas - The canvas element.
+ */
+function renderHeatmap(sweep, metric, ctx, canvas) {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const values = sweep.cells.flat().filter(cell => cell !== null).map(cell => cell[metric]);
+    const min = values.length > 0 ? Math.min(...values) : 0;
+    const max = values.length > 0 ? Math.max(...values) : 1;
+    const range = max - min || 1;
+
+    const plotWidth = canvas.width - HEATMAP_MARGIN_LEFT - HEATMAP_LEGEND_WIDTH;
+    const plotHeight = canvas.height - HEATMAP_MARGIN_TOP - HEATMAP_MARGIN_BOTTOM;
+    const cellWidth = plotWidth / sweep.xValues.length;
+    const cellHeight = plotHeight / sweep.yValues.length;
+
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let yi = 0; yi < sweep.yValues.length; yi++) {
+        for (let xi = 0; xi < sweep.xValues.length; xi++) {
+            const cell = sweep.cells[yi][xi];
+            const posX = HEATMAP_MARGIN_LEFT + xi * cellWidth;
+            const posY = HEATMAP_MARGIN_TOP + plotHeight - (yi + 1) * cellHeight;
+
+            if (cell === null) {
+                ctx.fillStyle = '#252525';
+                ctx.fillRect(posX, posY, cellWidth - 1, cellHeight - 1);
+                continue;
+            }
+
+            const t = (cell[metric] - min) / range;
+            ctx.fillStyle = getHeatmapColor(t);
+            ctx.fillRect(posX, posY, cellWidth - 1, cellHeight - 1);
+
+            if (cellWidth >= 36 && cellHeight >= 16) {
+                ctx.fillStyle = t > 0.6 ? '#111' : '#fff';
+                ctx.fillText(cell[metric].toFixed(2), posX + cellWidth / 2, posY + cellHeight / 2);
+            }
+        }
+    }
+
+    // Axis tick labels
+    ctx.fillStyle = '#aaa';
+    const precision = (param) => param === 'carGenerationInterval' ? 0 : 2;
+    for (let xi = 0; xi < sweep.xValues.length; xi++) {
+        ctx.fillText(sweep.xValues[xi].toFixed(precision(sweep.xParam)),
+                     HEATMAP_MARGIN_LEFT + (xi + 0.5) * cellWidth,
+                     HEATMAP_MARGIN_TOP + plotHeight + 12);
+    }
+    ctx.textAlign = 'right';
+    for (let yi = 0; yi < sweep.yValues.length; yi++) {
+        ctx.fillText(sweep.yValues[yi].toFixed(precision(sweep.yParam)),
+                     HEATMAP_MARGIN_LEFT - 6,
+                     HEATMAP_MARGIN_TOP + plotHeight - (yi + 0.5) * cellHeight);
+    }
+
+    // Axis titles
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(SWEEP_PARAMETERS[sweep.xParam].label,
+                 HEATMAP_MARGIN_LEFT + plotWidth / 2, canvas.height - 10);
+    ctx.save();
+    ctx.translate(12, HEATMAP_MARGIN_TOP + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(SWEEP_PARAMETERS[sweep.yParam].label, 0, 0);
+    ctx.restore();
+
+    // Legend
+    const legendX = canvas.width - HEATMAP_LEGEND_WIDTH + 15;
+    for (let i = 0; i < plotHeight; i++) {
+        ctx.fillStyle = getHeatmapColor(1 - i / plotHeight);
+        ctx.fillRect(legendX, HEATMAP_MARGIN_TOP + i, 12, 1);
+    }
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#aaa';
+    ctx.fillText(max.toFixed(2), legendX + 16, HEATMAP_MARGIN_TOP + 5);
+    ctx.fillText(min.toFixed(2), legendX + 16, HEATMAP_MARGIN_TOP + plotHeight - 5);
+}
@@ -0,0 +1,137 @@
+/**
+ * Line charts of a simulation's metrics history over simulated time, so trends and the point
+ * a run settles into a steady state can be seen. Several simulations can share the axes to
+ * compare them.
+ */
+
+// Metrics a chart can plot, keyed by their name in Simulation.history. Values are multiplied
+// by scale to get the units in the label. Scores that run 0 to 1 keep that scale, the rest fit
+// their data.
+const CHART_METRICS = {
+    throughput: {label: 'Throughput (cars/sec)', decimals: 2},
+    fairness: {label: 'Fairness, 1 / (1 + CV)', decimals: 2, max: 1},
+    jainIndex: {label: "Fairness, Jain's index", decimals: 2, max: 1},
+    gini: {label: 'Fairness, Gini coefficient', decimals: 2, max: 1},
+    tailRatio: {label: 'Fairness, p95 / median', decimals: 2},
+    queueLength: {label: 'Queue (cars waiting)', decimals: 0},
+    averageSpeed: {label: 'Average Speed (mph)', decimals: 0, scale: MPH_PER_FEET_PER_SECOND},
+    averageDelay: {label: 'Average Delay (s)', decimals: 1},
+};
+
+// Chart layout in canvas pixels.
+const CHART_MARGIN_LEFT = 44;
+const CHART_MARGIN_RIGHT = 10;
+const CHART_MARGIN_TOP = 10;
+const CHART_MARGIN_BOTTOM = 20;
+
+/**
+ * A line chart of one metric for one or more simulations.
+ */
+class TimeSeriesChart {
+    canvas = null;
+    ctx = null;
+    // Key of the CHART_METRICS entry plotted
+    metric = 'throughput';
+
+    /**
+     * Creates a chart.
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on.
+     * @param {string} metric - Key of the metric to plot (default: 'throughput').
+     */
+    constructor(canvas, metric = 'throughput') {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.setMetric(metric);
+    }
+
+    /**
+     * Changes the metric plotted.
+     * @param {string} metric - Key of a CHART_METRICS entry.
+     */
+    setMetric(metric) {
+        if (!(metric in CHART_METRICS)) {
+            throw new Error(`Unknown chart metric '${metric}'`);
+        }
+        this.metric = metric;
+    }
+
+    /**
+     * Draws the chart.
+     * @param {{label: string, color: string, history: Object[]}[]} series - Simulations to
+     * plot, each with its Simulation.history.
+     */
+    render(series) {
+        const ctx = this.ctx;
+        const canvas = this.canvas;
+        const metric = CHART_METRICS[this.metric];
+        const valueOf = (sample) => sample[this.metric] * (metric.scale ?? 1);
+        const plotWidth = canvas.width - CHART_MARGIN_LEFT - CHART_MARGIN_RIGHT;
+        const plotHeight = canvas.height - CHART_MARGIN_TOP - CHART_MARGIN_BOTTOM;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#222';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Shared axes: time from the start of the runs to the latest sample of any of them
+        let maxTime = 1;
+        let maxValue = metric.max ?? 0;
+        for (let {history} of series) {
+            for (let sample of history) {
+                maxTime = Math.max(maxTime, sample.time);
+                if (metric.max === undefined) maxValue = Math.max(maxValue, valueOf(sample));
+            }
+        }
+        if (metric.max === undefined) {
+            maxValue = maxValue > 0 ? maxValue * 1.1 : 1;
+        }
+        const toX = (time) => CHART_MARGIN_LEFT + (time / maxTime) * plotWidth;
+        const toY = (value) => CHART_MARGIN_TOP + plotHeight - (value / maxValue) * plotHeight;
+
+        // Grid and labels
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#888';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 2; i++) {
+            const value = maxValue * i / 2;
+            ctx.beginPath();
+            ctx.moveTo(CHART_MARGIN_LEFT, toY(value));
+            ctx.lineTo(CHART_MARGIN_LEFT + plotWidth, toY(value));
+            ctx.stroke();
+            ctx.fillText(value.toFixed(metric.decimals), CHART_MARGIN_LEFT - 6, toY(value));
+        }
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(`${Math.round(maxTime)} s`, CHART_MARGIN_LEFT + plotWidth, canvas.height - 5);
+        ctx.textAlign = 'left';
+        ctx.fillText(metric.label, CHART_MARGIN_LEFT, canvas.height - 5);
+
+        // One line per simulation, skipping samples that would land on the same pixel
+        ctx.lineWidth = 2;
+        for (let {color, history} of series) {
+            const stride = Math.max(1, Math.floor(history.length / plotWidth));
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            for (let i = 0; i < history.length; i += stride) {
+                const sample = history[i];
+                if (i === 0) {
+                    ctx.moveTo(toX(sample.time), toY(valueOf(sample)));
+                } else {
+                    ctx.lineTo(toX(sample.time), toY(valueOf(sample)));
+                }
+            }
+            ctx.stroke();
+        }
+
+        // Legend, only needed when simulations are overlaid
+        if (series.length > 1) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            series.forEach(({label, color}, i) => {
+                ctx.fillStyle = color;
+                ctx.fillText(label, CHART_MARGIN_LEFT + plotWidth - 4, CHART_MARGIN_TOP + 2 + i * 14);
+            });
+        }
+    }
+}
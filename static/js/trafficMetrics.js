@@ -0,0 +1,115 @@
+/**
+ * Traffic flow metrics beyond throughput and fairness: queues, density and speed per lane,
+ * sampled every tick, and where along the road merges happen. Each road keeps its own, see
+ * Road.traffic. Delay is worked out per trip, see Road.recordTrip.
+ */
+
+// Cars slower than this count as queued, in feet per second (about 7 mph).
+const QUEUE_SPEED_THRESHOLD = 10;
+const FEET_PER_MILE = 5280;
+const MPH_PER_FEET_PER_SECOND = 3600 / FEET_PER_MILE;
+// Merge location histograms count merges in buckets this many spaces long.
+const MERGE_LOCATION_HISTOGRAM_BUCKET = 5;
+
+/**
+ * Collects traffic flow metrics for a road as it runs.
+ */
+class TrafficMetrics {
+    samples = 0;
+    // Per lane, from the latest sample: queued cars and cars per mile
+    queueLengths = [];
+    densities = [];
+    // Per lane, over the run
+    maxQueueLengths = [];
+    queueLengthSums = [];
+    densitySums = [];
+    // Mean speed of the cars on the road in the latest sample, and summed over samples that
+    // had cars, in feet per second
+    averageSpeed = 0;
+    speedSum = 0;
+    speedSamples = 0;
+    // {time, carId, fromLane, lane, laneX}, one per lane change
+    merges = [];
+
+    /**
+     * Samples queues, density and speed on a road.
+     * @param {Road} road - Road to sample.
+     */
+    sample(road) {
+        const numLanes = road.roadSpace.length;
+        const miles = road.length * road.getSpaceSize() / FEET_PER_MILE;
+        const counts = new Array(numLanes).fill(0);
+        const queued = new Array(numLanes).fill(0);
+        let speedTotal = 0;
+        for (let car of road.cars) {
+            const lane = car.getLaneN();
+            counts[lane]++;
+            if (car.speed < QUEUE_SPEED_THRESHOLD) queued[lane]++;
+            speedTotal += car.speed;
+        }
+
+        this.samples++;
+        this.queueLengths = queued;
+        this.densities = counts.map(count => count / miles);
+        for (let lane = 0; lane < numLanes; lane++) {
+            this.maxQueueLengths[lane] = Math.max(this.maxQueueLengths[lane] ?? 0, queued[lane]);
+            this.queueLengthSums[lane] = (this.queueLengthSums[lane] ?? 0) + queued[lane];
+            this.densitySums[lane] = (this.densitySums[lane] ?? 0) + this.densities[lane];
+        }
+        if (road.cars.length > 0) {
+            this.averageSpeed = speedTotal / road.cars.length;
+            this.speedSum += this.averageSpeed;
+            this.speedSamples++;
+        } else {
+            this.averageSpeed = 0;
+        }
+    }
+
+    /**
+     * Records a car changing lanes.
+     * @param {Car} car - Car about to change lanes.
+     * @param {Road} road - Road it is on.
+     * @param {number} targetLane - Lane it moves into.
+     */
+    recordMerge(car, road, targetLane) {
+        this.merges.push({
+            time: road.getTime(),
+            carId: car.id,
+            fromLane: car.getLaneN(),
+            lane: targetLane,
+            laneX: car.getLaneX(),
+        });
+    }
+
+    /**
+     * Gets the average number of queued cars in each lane over the run.
+     * @returns {number[]}
+     */
+    getAverageQueueLengths() {
+        return this.queueLengthSums.map(sum => sum / Math.max(this.samples, 1));
+    }
+
+    /**
+     * Gets the average density of each lane over the run.
+     * @returns {number[]} cars per mile.
+     */
+    getAverageDensities() {
+        return this.densitySums.map(sum => sum / Math.max(this.samples, 1));
+    }
+
+    /**
+     * Gets the mean speed of cars on the road, averaged over the run.
+     * @returns {number} feet per second.
+     */
+    getRunAverageSpeed() {
+        return this.speedSamples > 0 ? this.speedSum / this.speedSamples : 0;
+    }
+
+    /**
+     * Gets where along the road each merge happened.
+     * @returns {number[]} space of the front of the car as it merged.
+     */
+    getMergeLocations() {
+        return this.merges.map(merge => merge.laneX);
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Trajectory recording: where every car was, how fast it went and what it was doing, one frame
+ * per tick, so a run can be replayed, rewound and stepped through after the fact. Each road
+ * keeps its own, see Road.trajectory. Only the last stretch of the run is kept, long runs would
+ * otherwise fill memory.
+ */
+
+// Simulated seconds of frames kept by default.
+const DEFAULT_TRAJECTORY_SECONDS = 120;
+
+/**
+ * Records the frames of a road as it runs.
+ */
+class TrajectoryRecorder {
+    // Simulated seconds of frames kept, older ones are dropped. 0 records nothing.
+    seconds = DEFAULT_TRAJECTORY_SECONDS;
+    // Oldest first: {time, blockages, cars}. Blockages are "lane:laneX" keys, shared between
+    // frames while they stay the same. Cars are {id, lane, laneX, speed, state, indicator}.
+    frames = [];
+    // What does not change about each car in the frames kept: id -> {color, vehicleClass, length}
+    cars = new Map();
+
+    /**
+     * Creates a recorder.
+     * @param {number} seconds - Simulated seconds of frames to keep (default:
+     * DEFAULT_TRAJECTORY_SECONDS), 0 to record nothing.
+     */
+    constructor(seconds = DEFAULT_TRAJECTORY_SECONDS) {
+        this.seconds = seconds;
+    }
+
+    /**
+     * Records a frame of a road, dropping frames that are too old and cars only they held.
+     * @param {Road} road - Road to record.
+     */
+    record(road) {
+        if (!(this.seconds > 0)) return;
+
+        const time = road.getTime();
+        const cars = road.cars.map((car) => {
+            if (!this.cars.has(car.id)) {
+                this.cars.set(car.id, {color: car.color, vehicleClass: car.vehicleClass, length: car.length});
+            }
+            return {
+                id: car.id,
+                lane: car.getLaneN(),
+                laneX: car.getLaneX(),
+                speed: car.speed,
+                state: car.state,
+                indicator: car.isIndicating(),
+            };
+        });
+        this.frames.push({time: time, blockages: this.getBlockages(road), cars: cars});
+
+        // A car is in one unbroken stretch of frames, so once it is not in the oldest frame
+        // kept it is in none of them
+        while (this.frames.length > 0 && this.frames[0].time < time - this.seconds * 1000) {
+            const dropped = this.frames.shift();
+            const kept = new Set(this.frames[0]?.cars.map(car => car.id));
+            for (let car of dropped.cars) {
+                if (!kept.has(car.id)) this.cars.delete(car.id);
+            }
+        }
+    }
+
+    /**
+     * Gets the blockages on a road, reusing the last frame's list if they have not changed.
+     * @param {Road} road - Road to look at.
+     * @returns {string[]} "lane:laneX" keys.
+     */
+    getBlockages(road) {
+        const blockages = [];
+        road.roadSpace.forEach((laneData, lane) => {
+            laneData.forEach((cell, laneX) => {
+                if (cell === 0) blockages.push(`${lane}:${laneX}`);
+            });
+        });
+        const last = this.frames[this.frames.length - 1]?.blockages;
+        if (last && last.length === blockages.length && last.every((key, i) => key === blockages[i])) {
+            return last;
+        }
+        return blockages;
+    }
+}
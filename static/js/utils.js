@@ -2,16 +2,42 @@
  * Some random util functions. Human made.
  */
 
+/**
+ * Creates a seedable random number generator (mulberry32). Given the same seed it always
+ * returns the same sequence, so a whole run can be reproduced.
+ * @param seed integer seed.
+ * @returns {function(): number} function returning a number in [0, 1), like Math.random.
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks a new seed for a run that was not given one.
+ * @returns {number} a positive integer seed.
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 1000000) + 1;
+}
+
 /**
  * Gets a random value around a mean with a given standard deviation.
  * @param mean to use as center.
  * @param sd standard deviation.
+ * @param random generator to draw from, defaults to Math.random.
  * @returns {number} a number.
  */
-function getRandomValue(mean, sd) {
+function getRandomValue(mean, sd, random = Math.random) {
     let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
+    while (u === 0) u = random();
+    while (v === 0) v = random();
     return mean + sd * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
 
@@ -19,10 +45,51 @@ function getRandomValue(mean, sd) {
  * Gets a random number centered around a center and standard deviation, and between 0 and 1.
  * @param center to center.
  * @param sd standard deviation.
+ * @param random generator to draw from, defaults to Math.random.
  * @returns {number} result.
  */
-function randomBoundedNormal(center, sd) {
-    let value = getRandomValue(center, sd);
+function randomBoundedNormal(center, sd, random = Math.random) {
+    let value = getRandomValue(center, sd, random);
 
     return Math.max(0, Math.min(1, value));
-}
\ No newline at end of file
+}
+
+/**
+ * Gets the fairness score (0-1) of a set of travel times, using their coefficient of
+ * variation (CV): fairness = 1 / (1 + CV). 1 = all the same, towards 0 = very spread out.
+ * @param times list of travel times.
+ * @returns {number} fairness score, 1 if there are fewer than 2 times.
+ */
+function getTravelTimeFairness(times) {
+    if (times.length < 2) {
+        return 1;
+    }
+
+    let mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+    if (mean === 0) {
+        return 1;
+    }
+
+    let variance = times.reduce((sum, t) => sum + Math.pow(t - mean, 2), 0) / times.length;
+    let cv = Math.sqrt(variance) / mean;
+
+    return 1 / (1 + cv);
+}
+
+/**
+ * Starts a browser download of some text.
+ * @param {string} filename - Name to save as.
+ * @param {string} text - File contents.
+ * @param {string} type - MIME type.
+ */
+function downloadText(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], {type: type}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // The browser may only start reading the file once click has returned
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}